@@ -0,0 +1,37 @@
+import { formatDuration, MAX_DURATION } from "../lib/durations.js";
+import { userOption, reasonOption } from "../lib/commandContext.js";
+import { banMember, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "ban",
+  aliases: [],
+  description: "Ban a member, optionally for a limited time",
+  category: "moderation",
+  usage: "@user [duration] [reason]",
+  permission: "BanMembers",
+  hierarchy: "ban",
+  options: [
+    userOption("Member to ban"),
+    { name: "duration", type: "duration", max: MAX_DURATION / 60000, description: "How long the ban lasts (leave empty for permanent)" },
+    reasonOption,
+  ],
+  async execute(ctx, { user: member, duration: durationMs, reason }) {
+    if (!member) return ctx.error("❌ Please mention a user to ban!");
+    reason = reason || "No reason provided";
+    const durationText = durationMs ? formatDuration(durationMs) : "Permanent";
+
+    try {
+      const record = await banMember(ctx.guild, member, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+        reason,
+        durationMs,
+      });
+      ctx.reply(`✅ Banned ${member.user.tag} (${durationText}) | Reason: ${reason} | Case #${record.id}`);
+
+      logModerationCase(record, { durationText });
+    } catch (error) {
+      ctx.error("❌ Failed to ban user. Check my permissions and role hierarchy.");
+    }
+  },
+};
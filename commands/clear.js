@@ -0,0 +1,32 @@
+import { clearMessages, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "clear",
+  aliases: ["purge"],
+  description: "Bulk delete recent messages in this channel",
+  category: "moderation",
+  usage: "<amount>",
+  permission: "ManageMessages",
+  options: [
+    { name: "amount", type: "integer", required: true, min: 1, max: 100, description: "Number of messages to delete (1-100)" },
+  ],
+  async execute(ctx, { amount }) {
+    if (!amount || amount < 1 || amount > 100) {
+      return ctx.error("❌ Please provide a number between 1 and 100.");
+    }
+
+    try {
+      await ctx.defer({ ephemeral: true });
+      const record = await clearMessages(ctx.channel, amount, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+      });
+      const confirmMsg = await ctx.reply({ content: `✅ Deleted ${amount} messages. | Case #${record.id}`, ephemeral: true });
+      if (!ctx.isSlash) setTimeout(() => confirmMsg.delete().catch(() => {}), 3000);
+
+      logModerationCase(record);
+    } catch (error) {
+      ctx.error("❌ Failed to delete messages. They might be too old or I lack permissions.");
+    }
+  },
+};
@@ -0,0 +1,162 @@
+import { EmbedBuilder } from "discord.js";
+import { getCommand } from "../lib/commands.js";
+import { getGuildConfig, updateGuildConfig } from "../lib/guildConfig.js";
+import { PERIODS } from "../lib/leaderboard.js";
+
+// Setting names as typed in the command, mapped to guild config keys
+const SETTINGS = {
+  prefix: { key: "prefix", type: "text" },
+  leaderboardChannel: { key: "leaderboardChannelId", type: "channel" },
+  suggestionsChannel: { key: "suggestionsChannelId", type: "channel" },
+  logsChannel: { key: "logsChannelId", type: "channel" },
+  winnerRole: { key: "winnerRoleId", type: "role" },
+};
+const RESET_WORDS = ["none", "reset", "default"];
+
+function parseSettingValue(guild, type, value) {
+  if (type === "channel") {
+    const id = value.match(/^<#(\d+)>$/)?.[1] || value;
+    const channel = guild.channels.cache.get(id);
+    if (!channel?.isTextBased()) throw new Error("That isn't a text channel in this server.");
+    return channel.id;
+  }
+  if (type === "role") {
+    const id = value.match(/^<@&(\d+)>$/)?.[1] || value;
+    const role = guild.roles.cache.get(id);
+    if (!role) throw new Error("That isn't a role in this server.");
+    return role.id;
+  }
+  return value;
+}
+
+function showConfig(ctx) {
+  const config = getGuildConfig(ctx.guild.id);
+  const channel = (id) => (id ? `<#${id}>` : "Not set");
+  const periodChannels = Object.entries(config.periodChannels)
+    .map(([period, id]) => `${period}: ${channel(id)}`)
+    .join("\n");
+  const levelRewards = Object.entries(config.levels.roleRewards)
+    .filter(([, roleId]) => roleId)
+    .sort((a, b) => Number(a[0]) - Number(b[0]))
+    .map(([level, roleId]) => `Level ${level}: <@&${roleId}>`)
+    .join("\n");
+  const placementRewards = Object.entries(config.announcement.rewardRoles)
+    .filter(([, roleId]) => roleId)
+    .map(([placement, roleId]) => `#${placement}: <@&${roleId}>`)
+    .join("\n");
+  const memberMessages = [
+    `Welcome: ${config.welcome.enabled ? channel(config.welcome.channelId) : "Off"}`,
+    `Goodbye: ${config.goodbye.enabled ? channel(config.goodbye.channelId) : "Off"}`,
+    `Auto-role: ${config.welcome.autoRoleId ? `<@&${config.welcome.autoRoleId}>` : "None"}`,
+  ].join("\n");
+  const cooldowns = Object.entries(config.cooldowns)
+    .map(([name, seconds]) => `\`${name}\`: ${seconds}s`)
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⚙️ Settings for ${ctx.guild.name}`)
+    .setColor("Blue")
+    .addFields(
+      { name: "Prefix", value: `\`${config.prefix}\``, inline: true },
+      { name: "Winner Role", value: config.winnerRoleId ? `<@&${config.winnerRoleId}>` : "Not set", inline: true },
+      { name: "Leaderboard Channel", value: channel(config.leaderboardChannelId), inline: true },
+      { name: "Suggestions Channel", value: channel(config.suggestionsChannelId), inline: true },
+      { name: "Logs Channel", value: channel(config.logsChannelId), inline: true },
+      { name: "Period Channels", value: periodChannels || "All periods use the leaderboard channel", inline: false },
+      { name: "Placement Rewards", value: placementRewards || (config.winnerRoleId ? "Winner Role for #1" : "None"), inline: false },
+      { name: "Level Rewards", value: levelRewards || "None", inline: false },
+      { name: "Level-Up Channel", value: config.levels.levelUpChannelId ? channel(config.levels.levelUpChannelId) : "Where the member levelled up", inline: true },
+      { name: "Joins & Leaves", value: memberMessages, inline: false },
+      { name: "Cooldown Overrides", value: cooldowns || "None", inline: false }
+    )
+    .setFooter({ text: `${config.prefix}config <setting> <value> • use "none" to reset a setting` });
+
+  return ctx.reply({ embeds: [embed], ephemeral: true });
+}
+
+export default {
+  name: "config",
+  aliases: ["settings"],
+  description: "Show or change this server's bot settings",
+  category: "admin",
+  usage: "[setting] [value]",
+  permission: "Administrator",
+  options: [
+    {
+      name: "setting",
+      type: "string",
+      description: "Setting to change, e.g. prefix, levelRole.<level> or cooldown.<command>",
+      async autocomplete(guild, input) {
+        return [...Object.keys(SETTINGS), ...PERIODS.map((period) => `leaderboardChannel.${period}`), "levelUpChannel", "levelRole.", "cooldown."]
+          .filter((name) => name.toLowerCase().startsWith(input.toLowerCase()))
+          .map((name) => ({ name, value: name }));
+      },
+    },
+    { name: "value", type: "string", rest: true, description: "New value (channel, role, text or seconds), or none to reset" },
+  ],
+  async execute(ctx, { setting, value }) {
+    if (!setting) return showConfig(ctx);
+
+    const { prefix } = getGuildConfig(ctx.guild.id);
+    if (!value) {
+      return ctx.error(`❌ Usage: \`${prefix}config <setting> <value>\``);
+    }
+    const reset = RESET_WORDS.includes(value.toLowerCase());
+
+    try {
+      if (setting.toLowerCase().startsWith("cooldown.")) {
+        const command = getCommand(setting.slice("cooldown.".length).toLowerCase());
+        if (!command) return ctx.error("❌ Unknown command for the cooldown.");
+
+        const seconds = reset ? null : Number(value);
+        updateGuildConfig(ctx.guild.id, { cooldowns: { [command.name]: seconds } });
+        return ctx.reply(reset
+          ? `✅ \`${command.name}\` is back to its default cooldown.`
+          : `✅ \`${command.name}\` cooldown set to ${seconds}s.`);
+      }
+
+      if (setting.toLowerCase().startsWith("leaderboardchannel.")) {
+        const period = setting.slice("leaderboardChannel.".length).toLowerCase();
+        if (!PERIODS.includes(period)) {
+          return ctx.error(`❌ Unknown period. Choose one of: ${PERIODS.map((p) => `\`${p}\``).join(", ")}`);
+        }
+
+        const channelId = reset ? null : parseSettingValue(ctx.guild, "channel", value);
+        updateGuildConfig(ctx.guild.id, { periodChannels: { [period]: channelId } });
+        return ctx.reply(reset
+          ? `✅ The ${period} leaderboard is back to the main leaderboard channel.`
+          : `✅ The ${period} leaderboard will be posted in <#${channelId}>.`);
+      }
+
+      if (setting.toLowerCase().startsWith("levelrole.")) {
+        const level = Number(setting.slice("levelRole.".length));
+        if (!Number.isInteger(level) || level < 1) return ctx.error("❌ Use a level number, e.g. `levelRole.10`.");
+
+        const roleId = reset ? null : parseSettingValue(ctx.guild, "role", value);
+        updateGuildConfig(ctx.guild.id, { levels: { roleRewards: { [level]: roleId } } });
+        return ctx.reply(reset
+          ? `✅ Level ${level} no longer grants a role.`
+          : `✅ Members reaching level ${level} will get <@&${roleId}>.`);
+      }
+
+      if (setting.toLowerCase() === "levelupchannel") {
+        const channelId = reset ? null : parseSettingValue(ctx.guild, "channel", value);
+        updateGuildConfig(ctx.guild.id, { levels: { levelUpChannelId: channelId } });
+        return ctx.reply(reset
+          ? "✅ Level-ups will be announced where the member levelled up."
+          : `✅ Level-ups will be announced in <#${channelId}>.`);
+      }
+
+      const name = Object.keys(SETTINGS).find((key) => key.toLowerCase() === setting.toLowerCase());
+      if (!name) {
+        return ctx.error(`❌ Unknown setting. Choose one of: ${[...Object.keys(SETTINGS), "leaderboardChannel.<period>", "levelUpChannel", "levelRole.<level>", "cooldown.<command>"].map((key) => `\`${key}\``).join(", ")}`);
+      }
+
+      const { key, type } = SETTINGS[name];
+      updateGuildConfig(ctx.guild.id, { [key]: reset ? null : parseSettingValue(ctx.guild, type, value) });
+      ctx.reply(reset ? `✅ \`${name}\` reset to default.` : `✅ \`${name}\` updated.`);
+    } catch (error) {
+      ctx.error(`❌ ${error.message}`);
+    }
+  },
+};
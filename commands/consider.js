@@ -0,0 +1,23 @@
+import { noteOption, suggestionOption } from "../lib/commandContext.js";
+import { decideSuggestion } from "../lib/suggestions.js";
+
+export default {
+  name: "consider",
+  aliases: [],
+  description: "Mark a suggestion as under consideration",
+  category: "moderation",
+  usage: "<id> [note]",
+  permission: "ManageMessages",
+  options: [suggestionOption, noteOption],
+  async execute(ctx, { id, note }) {
+    if (!id) return ctx.error("❌ Please provide a suggestion number. Usage: `!consider <id> [note]`");
+
+    try {
+      await ctx.defer();
+      const { suggestion, dmSent } = await decideSuggestion(ctx.guild, id, "considered", { note, moderator: ctx.user });
+      ctx.reply(`🤔 Suggestion #${suggestion.id} by ${suggestion.authorTag} is now under consideration.${dmSent ? "" : " (Couldn't DM the author)"}`);
+    } catch (error) {
+      ctx.error(`❌ ${error.message}`);
+    }
+  },
+};
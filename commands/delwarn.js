@@ -0,0 +1,37 @@
+import { resolveCase, getCase, listCases } from "../lib/cases.js";
+import { logWarningDeleted } from "../lib/moderation.js";
+
+export default {
+  name: "delwarn",
+  aliases: ["unwarn"],
+  description: "Delete a warning by its case number",
+  category: "moderation",
+  usage: "<id>",
+  permission: "ModerateMembers",
+  options: [
+    {
+      name: "id",
+      type: "integer",
+      required: true,
+      description: "Case number of the warning",
+      async autocomplete(guild, input) {
+        return listCases({ guildId: guild.id, action: "warn", active: true })
+          .filter((w) => String(w.id).startsWith(input))
+          .slice(-25)
+          .reverse()
+          .map((w) => ({ name: `#${w.id} ${w.targetTag}: ${w.reason}`.slice(0, 100), value: w.id }));
+      },
+    },
+  ],
+  async execute(ctx, { id }) {
+    const warning = getCase(id);
+    if (!warning || warning.action !== "warn" || !warning.active || warning.guildId !== ctx.guild.id) {
+      return ctx.error("❌ Please provide the case number of an active warning. Usage: `!delwarn <id>`");
+    }
+
+    resolveCase(warning.id, { resolvedBy: ctx.user.tag });
+    ctx.reply(`✅ Deleted warning #${warning.id} for ${warning.targetTag}.`);
+
+    logWarningDeleted(warning, ctx.user.tag);
+  },
+};
@@ -0,0 +1,23 @@
+import { noteOption, suggestionOption } from "../lib/commandContext.js";
+import { decideSuggestion } from "../lib/suggestions.js";
+
+export default {
+  name: "deny",
+  aliases: [],
+  description: "Deny a suggestion and let its author know",
+  category: "moderation",
+  usage: "<id> [note]",
+  permission: "ManageMessages",
+  options: [suggestionOption, noteOption],
+  async execute(ctx, { id, note }) {
+    if (!id) return ctx.error("❌ Please provide a suggestion number. Usage: `!deny <id> [note]`");
+
+    try {
+      await ctx.defer();
+      const { suggestion, dmSent } = await decideSuggestion(ctx.guild, id, "denied", { note, moderator: ctx.user });
+      ctx.reply(`❌ Denied suggestion #${suggestion.id} by ${suggestion.authorTag}.${dmSent ? "" : " (Couldn't DM the author)"}`);
+    } catch (error) {
+      ctx.error(`❌ ${error.message}`);
+    }
+  },
+};
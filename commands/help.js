@@ -0,0 +1,66 @@
+import { EmbedBuilder } from "discord.js";
+import { CATEGORIES, canUse, formatUsage, getCommand, getCooldown, listCommands } from "../lib/commands.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+
+// Permission-based Help Command, generated from the command metadata
+export default {
+  name: "help",
+  aliases: ["commands"],
+  description: "Show the commands you can use",
+  category: "general",
+  usage: "[command]",
+  options: [
+    {
+      name: "command",
+      type: "string",
+      description: "Show details for a single command",
+      async autocomplete(guild, input) {
+        return listCommands()
+          .filter((command) => command.name.startsWith(input.toLowerCase()))
+          .map((command) => ({ name: command.name, value: command.name }));
+      },
+    },
+  ],
+  async execute(ctx, { command: name }) {
+    const { prefix } = getGuildConfig(ctx.guild.id);
+
+    if (name) {
+      const command = getCommand(name.toLowerCase().replace(prefix, ""));
+      if (!command || !canUse(command, ctx.member)) {
+        return ctx.error(`❌ Unknown command \`${name}\`. Use \`${prefix}help\` to see what you can use.`);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`ℹ️ ${prefix}${command.name}`)
+        .setColor("Blue")
+        .setDescription(command.description)
+        .addFields(
+          { name: "Usage", value: `\`${formatUsage(command, prefix)}\``, inline: false },
+          { name: "Aliases", value: command.aliases?.length ? command.aliases.map((a) => `\`${prefix}${a}\``).join(", ") : "None", inline: true },
+          { name: "Permission", value: command.permission || "Everyone", inline: true },
+          { name: "Cooldown", value: `${getCooldown(command, ctx.guild.id)}s`, inline: true }
+        );
+
+      return ctx.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle("🤖 Bot Commands")
+      .setColor("Blue")
+      .setDescription(`Use \`${prefix}help <command>\` for details.\nDurations: \`30m\`, \`12h\`, \`2d\`, \`2w\``)
+      .setFooter({ text: "Commands shown based on your permissions • all commands also work as /slash commands" })
+      .setTimestamp();
+
+    for (const [category, title] of Object.entries(CATEGORIES)) {
+      const lines = listCommands()
+        .filter((command) => command.category === category && canUse(command, ctx.member))
+        .map((command) => `\`${formatUsage(command, prefix)}\` - ${command.description}`);
+
+      if (lines.length > 0) {
+        embed.addFields({ name: title, value: lines.join("\n"), inline: false });
+      }
+    }
+
+    await ctx.reply({ embeds: [embed], ephemeral: true });
+  },
+};
@@ -0,0 +1,30 @@
+import { userOption, reasonOption } from "../lib/commandContext.js";
+import { kickMember, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "kick",
+  aliases: [],
+  description: "Kick a member from the server",
+  category: "moderation",
+  usage: "@user [reason]",
+  permission: "KickMembers",
+  hierarchy: "kick",
+  options: [userOption("Member to kick"), reasonOption],
+  async execute(ctx, { user: member, reason }) {
+    if (!member) return ctx.error("❌ Please mention a user to kick!");
+    reason = reason || "No reason provided";
+
+    try {
+      const record = await kickMember(ctx.guild, member, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+        reason,
+      });
+      ctx.reply(`✅ Kicked ${member.user.tag} | Reason: ${reason} | Case #${record.id}`);
+
+      logModerationCase(record);
+    } catch (error) {
+      ctx.error("❌ Failed to kick user. Check my permissions and role hierarchy.");
+    }
+  },
+};
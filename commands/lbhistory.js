@@ -0,0 +1,69 @@
+import { EmbedBuilder } from "discord.js";
+import { periodOption } from "../lib/commandContext.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+import { getPeriodLabels, resolvePeriod, PERIODS } from "../lib/leaderboard.js";
+import { getArchive, listArchives, sortCounts } from "../lib/leaderboardHistory.js";
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString("en-GB");
+
+function archiveRange(archive) {
+  return archive.startedAt ? `${formatDate(archive.startedAt)} - ${formatDate(archive.endedAt)}` : `until ${formatDate(archive.endedAt)}`;
+}
+
+export default {
+  name: "lbhistory",
+  aliases: ["lbh"],
+  description: "Show past leaderboards (weekly unless a period is given)",
+  category: "general",
+  usage: "[week] [period]",
+  cooldown: 5,
+  options: [
+    { name: "week", type: "integer", min: 1, description: "Number to show (leave empty to list recent ones)" },
+    periodOption,
+  ],
+  async execute(ctx, { week: number, period: input }) {
+    const { prefix } = getGuildConfig(ctx.guild.id);
+    const period = input ? resolvePeriod(input) : "weekly";
+    if (!period) {
+      return ctx.error(`❌ Unknown period. Choose one of: ${PERIODS.map((p) => `\`${p}\``).join(", ")}`);
+    }
+    const labels = getPeriodLabels(period);
+
+    if (number) {
+      const archive = getArchive(ctx.guild.id, period, number);
+      if (!archive) {
+        return ctx.error(`❌ ${labels.title} leaderboard #${number} not found. Use \`${prefix}lbhistory\` to list archived ones.`);
+      }
+
+      const medalEmojis = ["🥇", "🥈", "🥉"];
+      const lines = sortCounts(archive.counts)
+        .slice(0, 10)
+        .map(([id, count], i) => `#${i + 1} <@${id}> with **${count}** messages ${medalEmojis[i] || ""}`.trim());
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📜 ${labels.title} Leaderboard #${archive.number}`)
+        .setColor("Blue")
+        .setDescription(`${lines.join("\n")}\n\n📊 **Total Messages:** ${archive.totalMessages}\n👥 **Active Members:** ${Object.keys(archive.counts).length}`)
+        .setFooter({ text: archiveRange(archive) });
+
+      return ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+    }
+
+    const archives = listArchives(ctx.guild.id, period).slice(0, 10);
+    if (archives.length === 0) {
+      return ctx.reply(`📜 No ${period} leaderboards have been archived yet.`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📜 ${labels.title} Leaderboard History`)
+      .setColor("Blue")
+      .setDescription(
+        archives
+          .map((archive) => `**#${archive.number}** · ${archiveRange(archive)} · 🥇 <@${archive.winnerId}> (${archive.counts[archive.winnerId]}) · ${archive.totalMessages} messages`)
+          .join("\n")
+      )
+      .setFooter({ text: `Use ${prefix}lbhistory <number> ${period === "weekly" ? "" : `${period} `}for the full results` });
+
+    await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  },
+};
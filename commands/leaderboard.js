@@ -0,0 +1,43 @@
+import { EmbedBuilder } from "discord.js";
+import { periodOption } from "../lib/commandContext.js";
+import { getLeaderboard, getPeriodLabels, resolvePeriod, PERIODS } from "../lib/leaderboard.js";
+import { sortCounts } from "../lib/leaderboardHistory.js";
+
+export default {
+  name: "leaderboard",
+  aliases: ["lb", "top"],
+  description: "Show the current leaderboard for a period",
+  category: "general",
+  usage: "[period]",
+  cooldown: 5,
+  options: [periodOption],
+  async execute(ctx, { period: input }) {
+    const period = input ? resolvePeriod(input) : "weekly";
+    if (!period) {
+      return ctx.error(`❌ Unknown period. Choose one of: ${PERIODS.map((p) => `\`${p}\``).join(", ")}`);
+    }
+
+    const labels = getPeriodLabels(period);
+    const leaderboard = getLeaderboard(ctx.guild.id, period);
+    const sorted = sortCounts(leaderboard);
+    if (sorted.length === 0) {
+      return ctx.reply(`📊 No messages recorded ${labels.span.toLowerCase()} yet!`);
+    }
+
+    const medalEmojis = ["🥇", "🥈", "🥉"];
+    const lines = sorted
+      .slice(0, 10)
+      .map(([id, count], i) => `#${i + 1} <@${id}> with **${count}** messages ${medalEmojis[i] || ""}`.trim());
+
+    const rank = sorted.findIndex(([id]) => id === ctx.user.id);
+    const totalMessages = Object.values(leaderboard).reduce((a, b) => a + b, 0);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🏆 ${labels.title} Leaderboard`)
+      .setColor("Blue")
+      .setDescription(`${lines.join("\n")}\n\n📊 **Total Messages ${labels.span}:** ${totalMessages}`)
+      .setFooter({ text: rank >= 0 ? `You are #${rank + 1} with ${sorted[rank][1]} messages` : "You haven't sent any messages yet" });
+
+    await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  },
+};
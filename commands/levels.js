@@ -0,0 +1,40 @@
+import { EmbedBuilder } from "discord.js";
+import { getLevelRank, getLevelRanking } from "../lib/levels.js";
+
+const PAGE_SIZE = 10;
+
+export default {
+  name: "levels",
+  aliases: ["xptop"],
+  description: "Show the members with the most XP",
+  category: "general",
+  usage: "[page]",
+  cooldown: 5,
+  options: [
+    { name: "page", type: "integer", min: 1, description: "Page of the ranking to show" },
+  ],
+  async execute(ctx, { page }) {
+    const ranking = getLevelRanking(ctx.guild.id);
+    if (ranking.length === 0) {
+      return ctx.reply("📈 Nobody has earned any XP yet!");
+    }
+
+    const pages = Math.ceil(ranking.length / PAGE_SIZE);
+    const current = Math.min(page || 1, pages);
+    const start = (current - 1) * PAGE_SIZE;
+
+    const medalEmojis = ["🥇", "🥈", "🥉"];
+    const lines = ranking
+      .slice(start, start + PAGE_SIZE)
+      .map(({ userId, level, xp }, i) => `#${start + i + 1} <@${userId}> · Level **${level}** · ${xp.toLocaleString("en-GB")} XP ${medalEmojis[start + i] || ""}`.trim());
+
+    const rank = getLevelRank(ctx.guild.id, ctx.user.id);
+    const embed = new EmbedBuilder()
+      .setTitle("📈 Level Leaderboard")
+      .setColor("Blue")
+      .setDescription(lines.join("\n"))
+      .setFooter({ text: `Page ${current}/${pages}${rank ? ` • You are #${rank}` : ""}` });
+
+    await ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  },
+};
@@ -0,0 +1,52 @@
+import { findActiveCase } from "../lib/cases.js";
+import { formatDuration, MAX_DURATION } from "../lib/durations.js";
+import { userOption, reasonOption } from "../lib/commandContext.js";
+import { muteMember, logModerationCase } from "../lib/moderation.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("commands");
+
+// Enhanced Mute with Role Storage
+export default {
+  name: "mute",
+  aliases: [],
+  description: "Mute a member and store their roles, optionally for a limited time",
+  category: "moderation",
+  usage: "@user [duration] [reason]",
+  permission: "ModerateMembers",
+  hierarchy: "mute",
+  options: [
+    userOption("Member to mute"),
+    { name: "duration", type: "duration", max: MAX_DURATION / 60000, description: "How long the mute lasts (leave empty for permanent)" },
+    reasonOption,
+  ],
+  async execute(ctx, { user: member, duration: durationMs, reason }) {
+    if (!member) return ctx.error("❌ Please mention a user to mute!");
+
+    if (findActiveCase(ctx.guild.id, member.id, "mute")) {
+      return ctx.error("❌ This user is already muted!");
+    }
+
+    reason = reason || "No reason provided";
+    const durationText = durationMs ? formatDuration(durationMs) : "Permanent";
+
+    try {
+      // Creating the Muted role can take a while on large servers
+      await ctx.defer();
+      const { record, created } = await muteMember(ctx.guild, member, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+        reason,
+        durationMs,
+      });
+      if (created) ctx.channel.send("🔧 Created `Muted` role with proper permissions.");
+
+      ctx.reply(`✅ Muted ${member.user.tag} (${durationText}) | Removed ${record.roles.length} role(s) | Reason: ${reason} | Case #${record.id}`);
+
+      logModerationCase(record, { durationText });
+    } catch (error) {
+      log.error("❌ Mute failed", error);
+      ctx.error("❌ Failed to mute user. Check my permissions and role hierarchy.");
+    }
+  },
+};
@@ -0,0 +1,51 @@
+import { getGuildConfig } from "../lib/guildConfig.js";
+import { isPublicProfile, setPublicProfile } from "../lib/publicProfiles.js";
+
+const CHOICES = { on: true, off: false };
+
+export default {
+  name: "publicprofile",
+  aliases: ["optin"],
+  description: "Show or hide your name and avatar on the public web leaderboard",
+  category: "general",
+  usage: "[on|off]",
+  cooldown: 5,
+  options: [
+    {
+      name: "visible",
+      type: "string",
+      description: "on to show your name and avatar, off to stay anonymous",
+      async autocomplete(guild, input) {
+        return Object.keys(CHOICES)
+          .filter((choice) => choice.startsWith(input.toLowerCase()))
+          .map((choice) => ({ name: choice, value: choice }));
+      },
+    },
+  ],
+  async execute(ctx, { visible }) {
+    const { prefix } = getGuildConfig(ctx.guild.id);
+
+    if (!visible) {
+      const shown = isPublicProfile(ctx.guild.id, ctx.user.id);
+      return ctx.reply({
+        content: shown
+          ? `🌐 Your name and avatar are shown on the public leaderboard. Use \`${prefix}publicprofile off\` to hide them.`
+          : `🕶️ You appear anonymously on the public leaderboard. Use \`${prefix}publicprofile on\` to show your name and avatar.`,
+        ephemeral: true,
+      });
+    }
+
+    const choice = CHOICES[visible.toLowerCase()];
+    if (choice === undefined) {
+      return ctx.error(`❌ Usage: \`${prefix}publicprofile on\` or \`${prefix}publicprofile off\``);
+    }
+
+    setPublicProfile(ctx.guild.id, ctx.user.id, choice);
+    ctx.reply({
+      content: choice
+        ? "🌐 Your name and avatar will now be shown on the public leaderboard."
+        : "🕶️ You'll now appear anonymously on the public leaderboard.",
+      ephemeral: true,
+    });
+  },
+};
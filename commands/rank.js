@@ -0,0 +1,50 @@
+import { EmbedBuilder } from "discord.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+import { getLevelRank, getUserLevel } from "../lib/levels.js";
+
+function progressBar(current, needed, size = 12) {
+  const filled = Math.min(size, Math.floor((current / needed) * size));
+  return "▰".repeat(filled) + "▱".repeat(size - filled);
+}
+
+// Rank card with progress towards the next level
+export default {
+  name: "rank",
+  aliases: ["level", "xp"],
+  description: "Show your level and XP, or another member's",
+  category: "general",
+  usage: "[@user]",
+  cooldown: 5,
+  options: [
+    { name: "user", type: "user", description: "Member to look up (defaults to you)" },
+  ],
+  async execute(ctx, { user: member }) {
+    const target = member?.user || ctx.user;
+    if (target.bot) return ctx.error("❌ Bots don't earn XP.");
+
+    const { level, xp, messages, current, needed } = getUserLevel(ctx.guild.id, target.id);
+    const rank = getLevelRank(ctx.guild.id, target.id);
+    const { roleRewards } = getGuildConfig(ctx.guild.id).levels;
+
+    const nextReward = Object.entries(roleRewards)
+      .filter(([rewardLevel, roleId]) => roleId && Number(rewardLevel) > level)
+      .sort((a, b) => Number(a[0]) - Number(b[0]))[0];
+
+    const percent = Math.floor((current / needed) * 100);
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: target.displayName || target.username, iconURL: target.displayAvatarURL() })
+      .setTitle("🏅 Rank Card")
+      .setColor("Blue")
+      .setThumbnail(target.displayAvatarURL({ size: 256 }))
+      .addFields(
+        { name: "Level", value: `**${level}**`, inline: true },
+        { name: "Rank", value: rank ? `#${rank}` : "Unranked", inline: true },
+        { name: "Total XP", value: xp.toLocaleString("en-GB"), inline: true },
+        { name: `Progress to level ${level + 1}`, value: `${progressBar(current, needed)} ${percent}%\n${current} / ${needed} XP`, inline: false },
+        { name: "Messages", value: messages.toLocaleString("en-GB"), inline: true },
+        { name: "Next Reward", value: nextReward ? `<@&${nextReward[1]}> at level ${nextReward[0]}` : "None", inline: true }
+      );
+
+    await ctx.reply({ embeds: [embed] });
+  },
+};
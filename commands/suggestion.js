@@ -0,0 +1,53 @@
+import { EmbedBuilder } from "discord.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+import { buildSuggestionEmbed, createSuggestion, DOWNVOTE, UPVOTE } from "../lib/suggestions.js";
+
+export default {
+  name: "suggestion",
+  aliases: ["suggest"],
+  description: "Submit a suggestion",
+  category: "general",
+  usage: "<text>",
+  cooldown: 30,
+  options: [
+    { name: "text", type: "string", rest: true, required: true, description: "Your suggestion", maxLength: 1000 },
+  ],
+  async execute(ctx, { text }) {
+    const { prefix, suggestionsChannelId } = getGuildConfig(ctx.guild.id);
+
+    if (!text) {
+      return ctx.error(`❌ Please provide a suggestion! Usage: \`${prefix}suggestion Your suggestion here\``, { deleteAfter: 5000 });
+    }
+
+    if (text.length > 1000) {
+      return ctx.error("❌ Suggestion too long! Please keep it under 1000 characters.", { deleteAfter: 5000 });
+    }
+
+    const suggestionsChannel = suggestionsChannelId
+      ? await ctx.guild.channels.fetch(suggestionsChannelId).catch(() => null)
+      : null;
+    if (!suggestionsChannel) {
+      return ctx.error("❌ Suggestions channel not found!");
+    }
+
+    // The id is only known once the record exists, so post first and then
+    // put the id into the embed
+    const suggestionMsg = await suggestionsChannel.send({
+      embeds: [new EmbedBuilder().setTitle("💡 New Suggestion").setDescription(text).setColor("Yellow")],
+    });
+    const suggestion = createSuggestion({
+      guildId: ctx.guild.id,
+      channelId: suggestionsChannel.id,
+      messageId: suggestionMsg.id,
+      authorId: ctx.user.id,
+      authorTag: ctx.user.tag,
+      content: text,
+    });
+    await suggestionMsg.edit({ embeds: [buildSuggestionEmbed(suggestion, ctx.user)] });
+    await suggestionMsg.react(UPVOTE);
+    await suggestionMsg.react(DOWNVOTE);
+
+    await ctx.acknowledge(`✅ Suggestion #${suggestion.id} submitted!`);
+    if (ctx.message) await ctx.message.delete().catch(() => {});
+  },
+};
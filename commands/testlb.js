@@ -0,0 +1,31 @@
+import { periodOption } from "../lib/commandContext.js";
+import { getAnnouncementChannelId, resolvePeriod, sendLeaderboard, PERIODS } from "../lib/leaderboard.js";
+import { getGuildConfig } from "../lib/guildConfig.js";
+
+export default {
+  name: "testlb",
+  aliases: [],
+  description: "Post a leaderboard now (weekly unless a period is given)",
+  category: "admin",
+  usage: "[period]",
+  cooldown: 10,
+  permission: "Administrator",
+  options: [periodOption],
+  async execute(ctx, { period: input }) {
+    const period = input ? resolvePeriod(input) : "weekly";
+    if (!period) {
+      return ctx.error(`❌ Unknown period. Choose one of: ${PERIODS.map((p) => `\`${p}\``).join(", ")}`);
+    }
+
+    const { prefix } = getGuildConfig(ctx.guild.id);
+    if (!getAnnouncementChannelId(ctx.guild.id, period)) {
+      return ctx.error(`❌ No leaderboard channel set. Use \`${prefix}config leaderboardChannel #channel\` first.`);
+    }
+
+    await ctx.defer({ ephemeral: true });
+    if (!(await sendLeaderboard(ctx.guild, period))) {
+      return ctx.error("❌ Couldn't post the leaderboard. Check that the channel exists and I can send messages there.");
+    }
+    await ctx.acknowledge("✅ Leaderboard sent!");
+  },
+};
@@ -0,0 +1,41 @@
+import { formatDuration } from "../lib/durations.js";
+import { userOption, reasonOption } from "../lib/commandContext.js";
+import { MAX_TIMEOUT, timeoutMember, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "timeout",
+  aliases: [],
+  description: "Time out a member (up to 28 days)",
+  category: "moderation",
+  usage: "@user [duration] [reason]",
+  permission: "ModerateMembers",
+  hierarchy: "time out",
+  options: [
+    userOption("Member to time out"),
+    // Bare numbers are minutes; "12h", "3d" etc. also work up to Discord's 28 day limit
+    { name: "duration", type: "duration", defaultUnit: "m", max: MAX_TIMEOUT / 60000, description: "Timeout length (default 10 minutes)" },
+    reasonOption,
+  ],
+  async execute(ctx, { user: member, duration, reason }) {
+    const durationMs = duration ?? 10 * 60 * 1000;
+    reason = reason || "No reason provided";
+
+    if (!member) return ctx.error("❌ Please mention a user to timeout!");
+    if (durationMs > MAX_TIMEOUT) return ctx.error("❌ Duration must be between 1 minute and 28 days (e.g. `30`, `12h`, `3d`).");
+    const durationText = formatDuration(durationMs);
+
+    try {
+      const record = await timeoutMember(ctx.guild, member, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+        reason,
+        durationMs,
+      });
+      ctx.reply(`✅ Timed out ${member.user.tag} for ${durationText} | Reason: ${reason} | Case #${record.id}`);
+
+      logModerationCase(record, { durationText });
+    } catch (error) {
+      ctx.error("❌ Failed to timeout user. Check my permissions.");
+    }
+  },
+};
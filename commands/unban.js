@@ -0,0 +1,40 @@
+import { unbanUser, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "unban",
+  aliases: [],
+  description: "Lift a ban by user ID",
+  category: "moderation",
+  usage: "<userid>",
+  permission: "BanMembers",
+  options: [
+    {
+      name: "user_id",
+      type: "string",
+      required: true,
+      description: "ID of the banned user",
+      async autocomplete(guild, input) {
+        const bans = await guild.bans.fetch();
+        return bans
+          .filter((ban) => ban.user.tag.toLowerCase().includes(input.toLowerCase()) || ban.user.id.startsWith(input))
+          .first(25)
+          .map((ban) => ({ name: `${ban.user.tag} (${ban.user.id})`, value: ban.user.id }));
+      },
+    },
+  ],
+  async execute(ctx, { user_id: userId }) {
+    if (!userId) return ctx.error("❌ Please provide a user ID to unban.");
+
+    try {
+      const record = await unbanUser(ctx.guild, userId, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+      });
+      ctx.reply(`✅ User <@${userId}> has been unbanned. | Case #${record.id}`);
+
+      logModerationCase(record);
+    } catch (error) {
+      ctx.error("❌ Failed to unban user. Check the user ID and my permissions.");
+    }
+  },
+};
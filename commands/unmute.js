@@ -0,0 +1,42 @@
+import { findActiveCase } from "../lib/cases.js";
+import { userOption } from "../lib/commandContext.js";
+import { unmuteMember, logModerationCase } from "../lib/moderation.js";
+import { createLogger } from "../lib/logger.js";
+
+const log = createLogger("commands");
+
+// Enhanced Unmute with Role Restoration
+export default {
+  name: "unmute",
+  aliases: [],
+  description: "Unmute a member and restore their stored roles",
+  category: "moderation",
+  usage: "@user",
+  permission: "ModerateMembers",
+  options: [userOption("Member to unmute")],
+  async execute(ctx, { user: member }) {
+    if (!member) return ctx.error("❌ Please mention a user to unmute!");
+
+    const muteRole = ctx.guild.roles.cache.find((r) => r.name === "Muted");
+    if (!muteRole) return ctx.error("❌ No 'Muted' role found.");
+
+    const muteCase = findActiveCase(ctx.guild.id, member.id, "mute");
+    if (!muteCase) {
+      return ctx.error("❌ This user wasn't muted with the role storage system.");
+    }
+
+    try {
+      const record = await unmuteMember(ctx.guild, member, muteCase, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+      });
+
+      ctx.reply(`✅ Unmuted ${member.user.tag} | Restored ${record.roles.length} role(s) | Case #${record.id}`);
+
+      logModerationCase(record);
+    } catch (error) {
+      log.error("❌ Unmute failed", error);
+      ctx.error("❌ Failed to unmute user. Check my permissions.");
+    }
+  },
+};
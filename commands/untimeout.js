@@ -0,0 +1,27 @@
+import { userOption } from "../lib/commandContext.js";
+import { untimeoutMember, logModerationCase } from "../lib/moderation.js";
+
+export default {
+  name: "untimeout",
+  aliases: [],
+  description: "Remove a member's timeout",
+  category: "moderation",
+  usage: "@user",
+  permission: "ModerateMembers",
+  options: [userOption("Member to remove the timeout from")],
+  async execute(ctx, { user: member }) {
+    if (!member) return ctx.error("❌ Please mention a user to remove timeout!");
+
+    try {
+      const record = await untimeoutMember(ctx.guild, member, {
+        moderatorId: ctx.user.id,
+        moderatorTag: ctx.user.tag,
+      });
+      ctx.reply(`✅ Removed timeout from ${member.user.tag} | Case #${record.id}`);
+
+      logModerationCase(record);
+    } catch (error) {
+      ctx.error("❌ Failed to remove timeout. Check my permissions.");
+    }
+  },
+};
@@ -0,0 +1,28 @@
+import { userOption, reasonOption } from "../lib/commandContext.js";
+import { warnMember } from "../lib/moderation.js";
+
+// Warnings with automatic escalation
+export default {
+  name: "warn",
+  aliases: [],
+  description: "Warn a member (repeated warnings escalate automatically)",
+  category: "moderation",
+  usage: "@user [reason]",
+  permission: "ModerateMembers",
+  hierarchy: "warn",
+  options: [userOption("Member to warn"), reasonOption],
+  async execute(ctx, { user: member, reason }) {
+    if (!member) return ctx.error("❌ Please mention a user to warn!");
+    reason = reason || "No reason provided";
+
+    const { record, warnings, escalation } = await warnMember(ctx.guild, member, {
+      moderatorId: ctx.user.id,
+      moderatorTag: ctx.user.tag,
+      reason,
+    });
+
+    let reply = `⚠️ Warned ${member.user.tag} | Reason: ${reason} | Case #${record.id} | ${warnings} active warning(s)`;
+    if (escalation) reply += `\n🚨 Escalated automatically: **${escalation.action}** (Case #${escalation.id})`;
+    ctx.reply(reply);
+  },
+};
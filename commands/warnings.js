@@ -0,0 +1,35 @@
+import { EmbedBuilder } from "discord.js";
+import { listCases } from "../lib/cases.js";
+import { userOption } from "../lib/commandContext.js";
+
+export default {
+  name: "warnings",
+  aliases: ["warns"],
+  description: "List a member's active warnings",
+  category: "moderation",
+  usage: "@user",
+  permission: "ModerateMembers",
+  options: [userOption("Member to list warnings for")],
+  async execute(ctx, { user: member }) {
+    if (!member) return ctx.error("❌ Please mention a user to list warnings for!");
+
+    const warnings = listCases({ guildId: ctx.guild.id, targetId: member.id, action: "warn", active: true });
+    if (warnings.length === 0) {
+      return ctx.reply(`✅ ${member.user.tag} has no active warnings.`);
+    }
+
+    const lines = warnings
+      .slice(-10)
+      .reverse()
+      .map((w) => `**#${w.id}** • <t:${Math.floor(Date.parse(w.createdAt) / 1000)}:R> • ${w.moderatorTag}\n${w.reason}`);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`⚠️ Warnings for ${member.user.tag}`)
+      .setColor("Yellow")
+      .setDescription(lines.join("\n\n"))
+      .setFooter({ text: `${warnings.length} active warning(s)${warnings.length > 10 ? " • showing latest 10" : ""}` })
+      .setTimestamp();
+
+    await ctx.reply({ embeds: [embed] });
+  },
+};
@@ -1,80 +1,304 @@
-import { Client, GatewayIntentBits, EmbedBuilder } from "discord.js";
-import fs from "fs";
+import "dotenv/config";
+import { EmbedBuilder } from "discord.js";
 import express from "express";
-import dotenv from "dotenv";
 import cron from "node-cron";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from 'url';
+import { client } from "./lib/client.js";
+import { getCase, findActiveCase, listCases, resolveCase, countActiveCases } from "./lib/cases.js";
+import { parseDuration, formatDuration } from "./lib/durations.js";
+import {
+  getLeaderboard,
+  countTrackedUsers,
+  recordMessage,
+  resetLeaderboard,
+  saveData,
+  sendLeaderboard,
+  endPeriod,
+  getAnnouncementChannelId,
+  getPeriodSettings,
+  PERIODS,
+  hasLegacyLeaderboard,
+  adoptLegacyLeaderboard,
+  importLeaderboard,
+  buildAnnouncement,
+  placementRewards,
+  getPeriodLabels,
+} from "./lib/leaderboard.js";
+import { rewardRolesFor, describePlaceholders, MAX_TOP_COUNT } from "./lib/announcementTemplate.js";
+import { listArchives, getArchive, getMemberTotals, sortCounts } from "./lib/leaderboardHistory.js";
+import {
+  exportLeaderboard,
+  exportToCsv,
+  parseImport,
+  isImportMode,
+  saveSnapshot,
+  listSnapshots,
+  getSnapshot,
+} from "./lib/leaderboardTransfer.js";
+import { checkMessage, getCountingStats } from "./lib/antiSpam.js";
+import {
+  SESSION_COOKIE,
+  sign,
+  unsign,
+  adoptLegacyPassword,
+  verifyLocalLogin,
+  createSession,
+  getSession,
+  listUserSessions,
+  revokeSession,
+  listAccounts,
+  createAccount,
+  deleteAccount,
+  isDiscordLoginEnabled,
+  getDiscordAuthorizeUrl,
+  completeDiscordLogin,
+  getDashboardRole,
+  setAccountRole,
+} from "./lib/auth.js";
+import { rateLimit } from "./lib/rateLimit.js";
+import { isPublicProfile } from "./lib/publicProfiles.js";
+import config from "./lib/config.js";
+import { roleCapabilities, requiredRole, describeCapability } from "./lib/permissions.js";
+import { listSuggestions, netVotes, syncVotes, SUGGESTION_STATUSES } from "./lib/suggestions.js";
+import { awardXp, announceLevelUp, applyLevelRoles, getLevelRanking, getUserLevel, saveLevels } from "./lib/levels.js";
+import {
+  CHANNEL_SETTINGS,
+  ROLE_SETTINGS,
+  getGuildConfig,
+  updateGuildConfig,
+  getLegacyChannelIds,
+  adoptLegacySettings,
+  validateAnnouncement,
+} from "./lib/guildConfig.js";
+import {
+  MAX_TIMEOUT,
+  kickMember,
+  banMember,
+  unbanUser,
+  timeoutMember,
+  untimeoutMember,
+  muteMember,
+  unmuteMember,
+  warnMember,
+  clearMessages,
+  processExpiredCases,
+  logModerationCase,
+  logWarningDeleted,
+} from "./lib/moderation.js";
+import { recordAudit, listAudit } from "./lib/audit.js";
+import { loadCommands, getCommand, findSimilarCommand, runCommand, registerSlashCommands } from "./lib/commands.js";
+import { createMessageContext, createInteractionContext, suggestDurations } from "./lib/commandContext.js";
+import { createLogger, queryLogs, logFilter, listLogSources, onLog } from "./lib/logger.js";
+import { publishEvent, onEvent } from "./lib/events.js";
+import { closeStorage } from "./lib/storage.js";
+import {
+  recordActivity,
+  flushAnalytics,
+  getChannelActivity,
+  getHeatmap,
+  getDailyTrend,
+  getUserActivity,
+  getGrowth,
+  getRetentionDays,
+  getTimezone,
+} from "./lib/analytics.js";
+import { handleMemberJoin, handleMemberLeave, giveAutoRole } from "./lib/welcome.js";
+import { handleMessageUpdate, handleMessageDelete, handleMessageDeleteBulk } from "./lib/messageLog.js";
+import { checkAutomod, getAutomodHits, updateAutomodRules } from "./lib/automod.js";
+import { RULES as AUTOMOD_RULES, ACTIONS as AUTOMOD_ACTIONS } from "./lib/automodRules.js";
+
+const log = createLogger("bot");
+const apiLog = createLogger("api");
+const authLog = createLogger("auth");
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-dotenv.config();
-
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-    GatewayIntentBits.GuildMembers,
-    GatewayIntentBits.GuildPresences,
-  ],
-});
 
 const app = express();
+if (config.dashboard.trustProxy) app.set("trust proxy", config.dashboard.trustProxy);
 app.use(express.json());
 app.use(express.static('public'));
 
-const PREFIX = "!";
-const CHANNEL_ID = process.env.LEADERBOARD_CHANNEL_ID;
-const SUGGESTIONS_CHANNEL_ID = process.env.SUGGESTIONS_CHANNEL_ID;
-const WINNER_ROLE_ID = process.env.WINNER_ROLE_ID;
-const LOGS_CHANNEL_ID = process.env.LOGS_CHANNEL_ID;
-const DATA_FILE = "./leaderboard.json";
-const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || 'admin123';
-
-// -------------------- Data Management --------------------
-let leaderboard = {};
-let lastSave = Date.now();
-const SAVE_INTERVAL = 30000; // Save every 30 seconds instead of every message
-
-// Command cooldowns and mute role storage
-const cooldowns = new Map();
-const mutedUserRoles = new Map();
-const COOLDOWN_TIME = 3000; // 3 seconds
-
-// Load leaderboard data
-if (fs.existsSync(DATA_FILE)) {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, "utf8");
-    leaderboard = raw ? JSON.parse(raw) : {};
-    console.log(`✅ Loaded leaderboard data (${Object.keys(leaderboard).length} users)`);
-  } catch (err) {
-    console.error("❌ Failed to load leaderboard.json, starting fresh.", err);
-    leaderboard = {};
+const { rateLimit: limits } = config.dashboard;
+app.use("/api", rateLimit({ name: "api", windowSeconds: limits.windowSeconds, max: limits.max }));
+const loginLimiter = rateLimit({ name: "login", windowSeconds: limits.loginWindowSeconds, max: limits.loginMax });
+
+// -------------------- Auth Middleware --------------------
+const OAUTH_STATE_COOKIE = "oauth_state";
+const secureCookies = (process.env.DASHBOARD_URL || "").startsWith("https://");
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore cookies that aren't ours and aren't URI-encoded
+    }
   }
+  return cookies;
 }
 
-function saveData(force = false) {
-  if (!force && Date.now() - lastSave < SAVE_INTERVAL) return;
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(leaderboard, null, 2));
-    lastSave = Date.now();
-  } catch (err) {
-    console.error("❌ Failed to save leaderboard:", err);
-  }
+function setCookie(res, name, value, maxAge) {
+  res.cookie(name, value, { httpOnly: true, sameSite: "lax", secure: secureCookies, maxAge, path: "/" });
 }
 
-// -------------------- Auth Middleware --------------------
+// Every request gets req.session and req.user when it carries a live session
+app.use((req, res, next) => {
+  const session = getSession(parseCookies(req)[SESSION_COOKIE]);
+  req.session = session;
+  req.user = session?.user || null;
+  next();
+});
+
 function requireAuth(req, res, next) {
-  const auth = req.headers.authorization;
-  
-  if (auth === `Bearer ${DASHBOARD_PASSWORD}`) {
+  if (req.user) {
     next();
   } else {
     res.status(401).json({ error: 'Authentication required' });
   }
 }
 
+// Route guard: the signed-in user's role must grant `capability` in the
+// server the request targets. Routes that aren't about one server pass
+// guildScoped: false, and only local accounts have a role there.
+function requireCapability(capability, { guildScoped = true } = {}) {
+  return async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+
+    let guild = null;
+    if (guildScoped) {
+      try {
+        guild = getRequestGuild(req);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+
+    let role;
+    try {
+      role = await getDashboardRole(req.user, guild);
+    } catch (err) {
+      return next(err);
+    }
+    if (!roleCapabilities(role).includes(capability)) {
+      const action = describeCapability(capability);
+      let reason;
+      if (role) reason = `Your ${role} role can't ${action}, that needs the ${requiredRole(capability)} role`;
+      else if (guild) reason = `You have no dashboard role in ${guild.name}`;
+      else reason = `Only local dashboard accounts can ${action}`;
+      return res.status(403).json({ success: false, error: reason, capability, role });
+    }
+
+    req.dashboardRole = role;
+    next();
+  };
+}
+
+// Read-only routes listed in config.dashboard.publicRoutes are open to
+// everyone when set to true, otherwise they need `capability`
+function publicRoute(route, capability) {
+  const guard = requireCapability(capability);
+  return (req, res, next) => (config.dashboard.publicRoutes[route] ? next() : guard(req, res, next));
+}
+
+// Turn the response into a server-sent event stream. Returns send(data,
+// event); stop runs when the client disconnects.
+function openEventStream(req, res, stop) {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+
+  // Comments keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30 * 1000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    stop();
+  });
+  return (data, event = null) => res.write(`${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`);
+}
+
+const EXPORT_FORMATS = ["json", "csv"];
+
+// Send a leaderboard export as a file download
+function sendExport(res, exported, format, filename) {
+  res.attachment(`${filename}.${format}`);
+  res.send(format === "csv" ? exportToCsv(exported) : JSON.stringify(exported, null, 2));
+}
+
+function logApiError(req, error) {
+  apiLog.error(`❌ ${req.method} ${req.path} failed`, { user: req.user?.id ?? null, query: req.query, error });
+}
+
+// Who a dashboard action is attributed to in cases and logs
+function dashboardActor(req) {
+  return {
+    moderatorId: req.user.discordId,
+    moderatorTag: `${req.user.username} (dashboard)`,
+  };
+}
+
+// The role hierarchy check the commands make (see lib/commands.js): Discord
+// users can only act on members below their highest role, unless they own the
+// server. Local accounts have no member to compare, only the bot's own role
+// limits them. Returns why the action isn't allowed, or null.
+async function hierarchyError(req, guild, target, action) {
+  if (req.user.provider === "local" || req.user.discordId === guild.ownerId) return null;
+  const actor = await guild.members.fetch(req.user.discordId).catch(() => null);
+  if (actor && target.roles.highest.position < actor.roles.highest.position) return null;
+  return `You cannot ${action} this user (role hierarchy)`;
+}
+
+// Write a dashboard change to the audit trail under the signed-in user
+function auditDashboardAction(req, guildId, action, fields = {}) {
+  return recordAudit({ guildId, actor: req.user, action, ip: req.ip, ...fields });
+}
+
+// Moderation from the dashboard gets the same log embed as the commands,
+// plus an audit entry pointing at the case
+function recordDashboardCase(req, record, { durationText = null } = {}) {
+  logModerationCase(record, { durationText });
+  return auditDashboardAction(req, record.guildId, record.action, {
+    targetId: record.targetId,
+    targetTag: record.targetTag,
+    caseId: record.id,
+    details: { reason: record.reason, ...record.details, ...(durationText && { duration: durationText }) },
+  });
+}
+
+function startSession(req, res, user) {
+  const session = createSession(user, { userAgent: req.headers["user-agent"] || null });
+  setCookie(res, SESSION_COOKIE, sign(session.id), Date.parse(session.expiresAt) - Date.now());
+  authLog.info(`✅ Dashboard login: ${user.username}`, { provider: user.provider, ip: req.ip });
+  return session;
+}
+
+// The server an API request targets: the guildId route/query/body parameter,
+// or the only server the bot is in when it is omitted
+function getRequestGuild(req) {
+  const guildId = req.params.guildId || req.query.guildId || req.body?.guildId;
+  if (!guildId) {
+    if (client.guilds.cache.size === 1) return client.guilds.cache.first();
+    throw new Error("guildId is required when the bot is in more than one server");
+  }
+
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) throw new Error("Guild not found");
+  return guild;
+}
+
+// The leaderboard period an API request targets, weekly unless given
+function getRequestPeriod(req) {
+  const period = req.query.period || req.body?.period || "weekly";
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unknown period "${period}" (use ${PERIODS.join(", ")})`);
+  }
+  return period;
+}
+
 // -------------------- Express Routes --------------------
 // Main Routes
 app.get("/", (req, res) => {
@@ -89,7 +313,7 @@ app.get("/", (req, res) => {
       <h3>API Endpoints:</h3>
       <ul>
         <li><a href="/api/status">/api/status</a> - Bot status</li>
-        <li><a href="/api/leaderboard">/api/leaderboard</a> - Current leaderboard</li>
+        <li><a href="/api/leaderboard/public">/api/leaderboard/public</a> - Current leaderboard</li>
         <li><a href="/health">/health</a> - Health check</li>
       </ul>
       <p><strong>Note:</strong> Save the dashboard HTML from the artifact as <code>public/index.html</code> to access the full dashboard.</p>
@@ -102,88 +326,729 @@ app.get("/dashboard", (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Public API Routes (no auth needed for stats viewing)
-app.get("/api/status", (req, res) => {
-  const guild = client.guilds.cache.first();
-  res.json({
-    online: client.isReady(),
-    members: guild ? guild.memberCount : 0,
-    users: Object.keys(leaderboard).length,
-    messages: Object.values(leaderboard).reduce((a, b) => a + b, 0),
-    uptime: process.uptime(),
-    botTag: client.user ? client.user.tag : "Unknown",
-    mutedUsers: mutedUserRoles.size
-  });
+app.get("/login", (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+// -------------------- Login Routes --------------------
+app.get("/api/auth/providers", (req, res) => {
+  res.json({ local: true, discord: isDiscordLoginEnabled() });
+});
+
+app.post("/auth/login", loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  const user = verifyLocalLogin(username, password);
+  if (!user) {
+    authLog.warn("⚠️ Failed dashboard login", { username: String(username).slice(0, 32), ip: req.ip });
+    return res.status(401).json({ success: false, error: "Wrong username or password" });
+  }
+
+  startSession(req, res, user);
+  res.json({ success: true, user });
+});
+
+app.get("/auth/discord", (req, res) => {
+  if (!isDiscordLoginEnabled()) return res.redirect("/login?error=" + encodeURIComponent("Discord login is not configured"));
+
+  const state = crypto.randomBytes(16).toString("hex");
+  setCookie(res, OAUTH_STATE_COOKIE, sign(state), 10 * 60 * 1000);
+  res.redirect(getDiscordAuthorizeUrl(state));
+});
+
+app.get("/auth/discord/callback", async (req, res) => {
+  const expectedState = unsign(parseCookies(req)[OAUTH_STATE_COOKIE]);
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: "/" });
+
+  try {
+    if (req.query.error) throw new Error("Discord login was cancelled");
+    if (!req.query.code || !expectedState || req.query.state !== expectedState) {
+      throw new Error("Login expired, please try again");
+    }
+
+    startSession(req, res, await completeDiscordLogin(req.query.code));
+    res.redirect("/dashboard");
+  } catch (error) {
+    authLog.warn("⚠️ Discord login failed", { error: error.message, ip: req.ip });
+    res.redirect("/login?error=" + encodeURIComponent(error.message));
+  }
+});
+
+app.post("/auth/logout", (req, res) => {
+  if (req.session) revokeSession(req.session.id);
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ success: true, message: "Logged out" });
+});
+
+// The signed-in user, with their role and capabilities in the requested
+// server (or outside any server when there's no guildId to go by)
+app.get("/api/auth/me", requireAuth, async (req, res) => {
+  let guild = null;
+  try {
+    guild = getRequestGuild(req);
+  } catch {
+    // No server chosen yet
+  }
+
+  const role = await getDashboardRole(req.user, guild);
+  res.json({ user: req.user, role, capabilities: roleCapabilities(role), expiresAt: req.session.expiresAt });
+});
+
+// The signed-in user's sessions, so they can revoke ones they don't recognise
+app.get("/api/auth/sessions", requireAuth, (req, res) => {
+  res.json(listUserSessions(req.user.id).map(({ id, createdAt, expiresAt, lastSeenAt, userAgent }) => ({
+    id,
+    createdAt,
+    expiresAt,
+    lastSeenAt,
+    userAgent,
+    current: id === req.session.id,
+  })));
+});
+
+app.delete("/api/auth/sessions/:sessionId", requireAuth, (req, res) => {
+  const session = listUserSessions(req.user.id).find((s) => s.id === req.params.sessionId);
+  if (!session) return res.status(404).json({ success: false, error: "Session not found" });
+
+  revokeSession(session.id);
+  res.json({ success: true, message: "Session revoked" });
+});
+
+app.get("/api/auth/accounts", requireCapability("accounts.manage", { guildScoped: false }), (req, res) => {
+  res.json(listAccounts());
+});
+
+app.post("/api/auth/accounts", requireCapability("accounts.manage", { guildScoped: false }), (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const account = createAccount(username, password, { role, createdBy: req.user.username });
+    res.json({ success: true, message: `Account ${account.username} created`, account });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.patch("/api/auth/accounts/:username", requireCapability("accounts.manage", { guildScoped: false }), (req, res) => {
+  try {
+    const account = setAccountRole(req.params.username, req.body.role);
+    if (!account) return res.status(404).json({ success: false, error: "Account not found" });
+    res.json({ success: true, message: `${account.username} is now ${account.role}`, account });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Deleting an account also signs it out everywhere
+app.delete("/api/auth/accounts/:username", requireCapability("accounts.manage", { guildScoped: false }), (req, res) => {
+  try {
+    if (!deleteAccount(req.params.username)) {
+      return res.status(404).json({ success: false, error: "Account not found" });
+    }
+    res.json({ success: true, message: `Account ${req.params.username} deleted` });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Read-only API Routes (public or staff-only, see config.dashboard.publicRoutes)
+app.get("/api/status", publicRoute("status", "stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const leaderboard = getLeaderboard(guild.id);
+    res.json({
+      online: client.isReady(),
+      guildId: guild.id,
+      guildName: guild.name,
+      members: guild.memberCount,
+      users: Object.keys(leaderboard).length,
+      messages: Object.values(leaderboard).reduce((a, b) => a + b, 0),
+      uptime: process.uptime(),
+      botTag: client.user ? client.user.tag : "Unknown",
+      mutedUsers: countActiveCases("mute", guild.id),
+      periods: PERIODS
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Only the servers the signed-in user has a dashboard role in
+app.get("/api/guilds", requireAuth, async (req, res) => {
+  try {
+    const guilds = [];
+    for (const guild of client.guilds.cache.values()) {
+      if (await getDashboardRole(req.user, guild)) guilds.push(guild);
+    }
+    res.json(guilds.map(guild => ({
+      id: guild.id,
+      name: guild.name,
+      icon: guild.iconURL(),
+      members: guild.memberCount
+    })));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/guilds/:guildId/config", requireCapability("config.view"), (req, res) => {
+  try {
+    res.json(getGuildConfig(getRequestGuild(req).id));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Text channels and roles, for the dashboard's settings pickers
+app.get("/api/guilds/:guildId/channels", requireCapability("config.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    res.json(guild.channels.cache
+      .filter(channel => channel.isTextBased() && !channel.isThread())
+      .sort((a, b) => a.rawPosition - b.rawPosition)
+      .map(channel => ({ id: channel.id, name: channel.name })));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/guilds/:guildId/roles", requireCapability("config.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    res.json(guild.roles.cache
+      .filter(role => role.id !== guild.id && !role.managed)
+      .sort((a, b) => b.position - a.position)
+      .map(role => ({ id: role.id, name: role.name, color: role.hexColor })));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch("/api/guilds/:guildId/config", requireCapability("config.edit"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const changes = req.body || {};
+    let config;
+    try {
+      for (const key of CHANNEL_SETTINGS) {
+        if (changes[key] && !guild.channels.cache.get(changes[key])?.isTextBased()) {
+          throw new Error(`${key}: text channel not found in this server`);
+        }
+      }
+      for (const [period, channelId] of Object.entries(changes.periodChannels || {})) {
+        if (!PERIODS.includes(period)) throw new Error(`periodChannels: unknown period "${period}"`);
+        if (channelId && !guild.channels.cache.get(channelId)?.isTextBased()) {
+          throw new Error(`periodChannels.${period}: text channel not found in this server`);
+        }
+      }
+      for (const channelId of changes.messageLogs?.ignoredChannels || []) {
+        if (!guild.channels.cache.has(channelId)) throw new Error(`messageLogs.ignoredChannels: channel ${channelId} not found in this server`);
+      }
+      for (const channelId of changes.counting?.ignoredChannels || []) {
+        if (!guild.channels.cache.has(channelId)) throw new Error(`counting.ignoredChannels: channel ${channelId} not found in this server`);
+      }
+      for (const roleId of changes.counting?.ignoredRoles || []) {
+        if (!guild.roles.cache.has(roleId)) throw new Error(`counting.ignoredRoles: role ${roleId} not found in this server`);
+      }
+      for (const key of ROLE_SETTINGS) {
+        if (changes[key] && !guild.roles.cache.has(changes[key])) {
+          throw new Error(`${key}: role not found in this server`);
+        }
+      }
+      for (const [placement, roleId] of Object.entries(changes.announcement?.rewardRoles || {})) {
+        if (roleId && !guild.roles.cache.has(roleId)) {
+          throw new Error(`announcement.rewardRoles.${placement}: role not found in this server`);
+        }
+      }
+      for (const key of ["welcome", "goodbye"]) {
+        const channelId = changes[key]?.channelId;
+        if (channelId && !guild.channels.cache.get(channelId)?.isTextBased()) {
+          throw new Error(`${key}.channelId: text channel not found in this server`);
+        }
+      }
+      const autoRoleId = changes.welcome?.autoRoleId;
+      if (autoRoleId) {
+        const role = guild.roles.cache.get(autoRoleId);
+        if (!role) throw new Error("welcome.autoRoleId: role not found in this server");
+        if (!role.editable) throw new Error(`welcome.autoRoleId: the bot can't give @${role.name}, move its own role above it`);
+      }
+      config = updateGuildConfig(guild.id, changes);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    auditDashboardAction(req, guild.id, "config.update", { details: { changes } });
+    res.json({ success: true, message: "Settings saved", config });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/leaderboard", publicRoute("leaderboard", "stats.view"), (req, res) => {
+  try {
+    res.json(getLeaderboard(getRequestGuild(req).id, getRequestPeriod(req)));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Leaderboard for embedding on public sites: no user IDs, and only members
+// who opted in with the publicprofile command are shown by name
+app.get("/api/leaderboard/public", publicRoute("publicLeaderboard", "stats.view"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const period = getRequestPeriod(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const top = sortCounts(getLeaderboard(guild.id, period)).slice(0, limit);
+
+    const shownIds = top.map(([userId]) => userId).filter((userId) => isPublicProfile(guild.id, userId));
+    const members = shownIds.length ? await guild.members.fetch({ user: shownIds }) : new Map();
+
+    res.json({
+      guildName: guild.name,
+      guildIcon: guild.iconURL(),
+      period,
+      entries: top.map(([userId, messages], index) => {
+        const member = members.get(userId);
+        return {
+          rank: index + 1,
+          messages,
+          displayName: member ? member.displayName : null,
+          avatar: member ? member.displayAvatarURL({ size: 64 }) : null,
+        };
+      }),
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Archived periods, newest first (without counts), or one in full with
+// ?number=N (?week=N for weekly boards)
+app.get("/api/leaderboard/history", publicRoute("leaderboard", "stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const period = getRequestPeriod(req);
+    const number = req.query.number || req.query.week;
+    
+    if (number) {
+      const archive = getArchive(guild.id, period, number);
+      if (!archive) return res.status(404).json({ success: false, error: "Archived leaderboard not found" });
+      return res.json(archive);
+    }
+    
+    res.json(listArchives(guild.id, period).map(({ counts, ...archive }) => ({ ...archive, users: Object.keys(counts).length })));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// All-time totals and weekly wins per member
+app.get("/api/leaderboard/totals", publicRoute("leaderboard", "stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    res.json(getMemberTotals(guild.id, getLeaderboard(guild.id)));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download every enabled period (or ?period=) as ?format=csv or json
+app.get("/api/leaderboard/export", requireCapability("stats.view"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const format = req.query.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `Unknown format. Use one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+    const periods = req.query.period ? [getRequestPeriod(req)] : PERIODS;
+
+    const exported = await exportLeaderboard(guild, periods);
+    sendExport(res, exported, format, `leaderboard-${guild.id}-${exported.exportedAt.slice(0, 10)}`);
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// XP ranking with each member's progress towards their next level
+app.get("/api/levels", publicRoute("leaderboard", "stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    
+    res.json(getLevelRanking(guild.id).slice(0, limit).map(({ userId }, index) => {
+      const { xp, level, messages, current, needed } = getUserLevel(guild.id, userId);
+      return { rank: index + 1, userId, xp, level, messages, current, needed };
+    }));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages counted and rejected by the anti-spam rules since startup
+app.get("/api/counting/stats", requireCapability("stats.view"), (req, res) => {
+  try {
+    res.json(getCountingStats(getRequestGuild(req).id));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Suggestions with optional ?status= filter, newest first or ?sort=votes
+app.get("/api/suggestions", publicRoute("suggestions", "stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const { status, sort = "newest" } = req.query;
+    if (status && !SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Unknown status. Use one of: ${SUGGESTION_STATUSES.join(", ")}` });
+    }
+    if (!["newest", "votes"].includes(sort)) {
+      return res.status(400).json({ success: false, error: "Unknown sort. Use newest or votes" });
+    }
+
+    res.json(listSuggestions({ guildId: guild.id, status, sort }).map((suggestion) => ({
+      ...suggestion,
+      netVotes: netVotes(suggestion),
+    })));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.get("/api/leaderboard", (req, res) => {
-  res.json(leaderboard);
+app.get("/api/members", requireCapability("members.view"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    
+    await guild.members.fetch();
+    
+    const members = guild.members.cache.map(member => ({
+      id: member.user.id,
+      username: member.user.username,
+      discriminator: member.user.discriminator,
+      bot: member.user.bot,
+      joinedAt: member.joinedAt
+    }));
+    
+    res.json(members);
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Analytics routes cover the last ?days= days including today (see
+// lib/analytics.js)
+function getRequestDays(req, fallback) {
+  if (req.query.days === undefined) return Math.min(fallback, getRetentionDays());
+  const days = Number(req.query.days);
+  return Number.isInteger(days) && days >= 1 && days <= getRetentionDays() ? days : null;
+}
+
+const invalidDays = () => ({ success: false, error: `days must be a whole number between 1 and ${getRetentionDays()}` });
+
+// Messages per channel, busiest first
+app.get("/api/analytics/channels", requireCapability("stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const days = getRequestDays(req, 30);
+    if (!days) return res.status(400).json(invalidDays());
+
+    const channels = getChannelActivity(guild.id, days);
+    const total = channels.reduce((sum, { messages }) => sum + messages, 0);
+    res.json({
+      days,
+      total,
+      channels: channels.map(({ channelId, messages }) => ({
+        channelId,
+        name: guild.channels.cache.get(channelId)?.name ?? null,
+        messages,
+        share: total ? messages / total : 0,
+      })),
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages per weekday (rows, Sunday first) and hour of day (columns)
+app.get("/api/analytics/heatmap", requireCapability("stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const days = getRequestDays(req, 30);
+    if (!days) return res.status(400).json(invalidDays());
+
+    res.json({ days, timezone: getTimezone(), heatmap: getHeatmap(guild.id, days) });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages and active members per day, oldest first
+app.get("/api/analytics/trend", requireCapability("stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const days = getRequestDays(req, 90);
+    if (!days) return res.status(400).json(invalidDays());
+
+    res.json({ days, timezone: getTimezone(), daily: getDailyTrend(guild.id, days) });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Members joining and leaving per day, oldest first
+app.get("/api/analytics/growth", requireCapability("stats.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const days = getRequestDays(req, 30);
+    if (!days) return res.status(400).json(invalidDays());
+
+    const daily = getGrowth(guild.id, days);
+    res.json({
+      days,
+      timezone: getTimezone(),
+      memberCount: guild.memberCount,
+      joins: daily.reduce((sum, { joins }) => sum + joins, 0),
+      leaves: daily.reduce((sum, { leaves }) => sum + leaves, 0),
+      daily,
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One member's messages per day, channel and hour
+app.get("/api/analytics/user/:id", requireCapability("members.view"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const days = getRequestDays(req, 30);
+    if (!days) return res.status(400).json(invalidDays());
+    if (!/^\d{17,20}$/.test(req.params.id)) {
+      return res.status(400).json({ success: false, error: "id must be a Discord user ID" });
+    }
+
+    const member = await guild.members.fetch(req.params.id).catch(() => null);
+    const activity = getUserActivity(guild.id, req.params.id, days);
+    res.json({
+      ...activity,
+      days,
+      timezone: getTimezone(),
+      username: member?.user.username ?? null,
+      displayName: member?.displayName ?? null,
+      channels: activity.channels.map((entry) => ({ ...entry, name: guild.channels.cache.get(entry.channelId)?.name ?? null })),
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Protected admin endpoints (keep authentication)
+app.post("/api/test-leaderboard", requireCapability("leaderboard.manage"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const period = getRequestPeriod(req);
+    if (!getAnnouncementChannelId(guild.id, period)) throw new Error("No leaderboard channel configured for this server");
+    
+    // Posting ends the period, which resets it unless the period keeps counting
+    const snapshot = getPeriodSettings(period).reset ? await saveSnapshot(guild, [period], "reset") : null;
+    if (!(await sendLeaderboard(guild, period))) {
+      throw new Error("Couldn't post the leaderboard. Check that the channel exists and the bot can send messages there");
+    }
+    auditDashboardAction(req, guild.id, "leaderboard.post", { details: { period, snapshot } });
+    res.json({ success: true, message: "Leaderboard sent successfully", snapshot });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/reset-leaderboard", requireCapability("leaderboard.manage"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const period = getRequestPeriod(req);
+    const snapshot = await saveSnapshot(guild, [period], "reset");
+    resetLeaderboard(guild.id, period);
+    auditDashboardAction(req, guild.id, "leaderboard.reset", { details: { period, snapshot } });
+    res.json({ success: true, message: "Leaderboard reset successfully", snapshot });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The announcement a period would get right now, with unsaved template
+// changes from `announcement`. Names for the mentioned members and reward
+// roles come along so the dashboard can show them like Discord does.
+app.post("/api/leaderboard/preview", requireCapability("config.view"), async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const period = getRequestPeriod(req);
+    const overrides = req.body?.announcement || {};
+    try {
+      validateAnnouncement(overrides);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const placeholders = describePlaceholders();
+    const announcement = buildAnnouncement(guild, period, overrides);
+    if (!announcement) {
+      return res.json({ empty: true, content: `📊 No messages recorded ${getPeriodLabels(period).span.toLowerCase()}!`, placeholders });
+    }
+
+    const sorted = sortCounts(getLeaderboard(guild.id, period));
+    const rewards = placementRewards(guild.id, overrides.rewardRoles ?? getGuildConfig(guild.id).announcement.rewardRoles);
+    const winners = sorted
+      .map(([userId], index) => ({ rank: index + 1, userId, roleIds: rewardRolesFor(rewards, index + 1) }))
+      .filter(({ roleIds }) => roleIds.length > 0);
+
+    // Placements only go up to MAX_TOP_COUNT, so that covers the reward winners too
+    const userIds = sorted.slice(0, MAX_TOP_COUNT).map(([userId]) => userId);
+    const members = await guild.members.fetch({ user: userIds }).catch(() => new Map());
+    const users = Object.fromEntries(userIds.map((userId) => [userId, members.get(userId)?.displayName ?? null]));
+    const roles = Object.fromEntries(
+      [...new Set(winners.flatMap(({ roleIds }) => roleIds))].map((roleId) => [roleId, guild.roles.cache.get(roleId)?.name ?? null])
+    );
+
+    res.json({
+      empty: false,
+      content: announcement.content ?? "",
+      embed: announcement.embeds[0].toJSON(),
+      users,
+      roles,
+      rewards: getPeriodSettings(period).winnerRole ? winners : [],
+      placeholders,
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: a CSV or JSON export as text (text/csv, text/plain) or JSON. ?mode=merge
+// adds the counts to the current boards, ?mode=replace swaps out every period
+// in the file after saving a snapshot of it. Nothing changes unless every row
+// is valid.
+const importBody = express.text({ type: "text/*", limit: `${config.leaderboard.snapshots.importLimitMB}mb` });
+
+app.post("/api/leaderboard/import", requireCapability("leaderboard.manage"), importBody, async (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const mode = req.query.mode || "merge";
+    if (!isImportMode(mode)) {
+      return res.status(400).json({ success: false, error: "Unknown mode. Use merge or replace" });
+    }
+    let boards;
+    try {
+      boards = parseImport(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const periods = Object.keys(boards);
+    const snapshot = mode === "replace" ? await saveSnapshot(guild, periods, "import") : null;
+    importLeaderboard(guild.id, boards, mode);
+    const users = Object.fromEntries(periods.map((period) => [period, Object.keys(boards[period]).length]));
+    auditDashboardAction(req, guild.id, "leaderboard.import", { details: { mode, users, snapshot } });
+    res.json({ success: true, message: `Imported ${periods.join(", ")} leaderboard data`, users, snapshot });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-app.get("/api/members", async (req, res) => {
+// Snapshots saved before resets and replacing imports, newest first
+app.get("/api/leaderboard/snapshots", requireCapability("leaderboard.manage"), (req, res) => {
   try {
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
-    
-    await guild.members.fetch();
-    
-    const members = guild.members.cache.map(member => ({
-      id: member.user.id,
-      username: member.user.username,
-      discriminator: member.user.discriminator,
-      bot: member.user.bot,
-      joinedAt: member.joinedAt
-    }));
-    
-    res.json(members);
+    res.json(listSnapshots(getRequestGuild(req).id));
   } catch (error) {
-    console.error("API members error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Protected admin endpoints (keep authentication)
-app.post("/api/test-leaderboard", requireAuth, async (req, res) => {
+app.get("/api/leaderboard/snapshots/:name", requireCapability("leaderboard.manage"), (req, res) => {
   try {
-    await sendLeaderboard();
-    res.json({ success: true, message: "Leaderboard sent successfully" });
+    const guild = getRequestGuild(req);
+    const format = req.query.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `Unknown format. Use one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+    const snapshot = getSnapshot(guild.id, req.params.name);
+    if (!snapshot) return res.status(404).json({ success: false, error: "Snapshot not found" });
+
+    sendExport(res, snapshot, format, `leaderboard-${guild.id}-${req.params.name}`);
   } catch (error) {
-    console.error("API test leaderboard error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/reset-leaderboard", requireAuth, async (req, res) => {
+// Undo a reset or import: put the snapshot's boards back (replacing the
+// current ones unless mode is merge), snapshotting the current ones first
+app.post("/api/leaderboard/snapshots/:name/restore", requireCapability("leaderboard.manage"), async (req, res) => {
   try {
-    leaderboard = {};
-    saveData(true);
-    res.json({ success: true, message: "Leaderboard reset successfully" });
+    const guild = getRequestGuild(req);
+    const mode = req.body?.mode || "replace";
+    if (!isImportMode(mode)) {
+      return res.status(400).json({ success: false, error: "Unknown mode. Use merge or replace" });
+    }
+    const snapshot = getSnapshot(guild.id, req.params.name);
+    if (!snapshot) return res.status(404).json({ success: false, error: "Snapshot not found" });
+
+    const boards = parseImport(snapshot);
+    const periods = Object.keys(boards);
+    const before = mode === "replace" ? await saveSnapshot(guild, periods, "restore") : null;
+    importLeaderboard(guild.id, boards, mode);
+    auditDashboardAction(req, guild.id, "leaderboard.restore", { details: { snapshot: req.params.name, mode, periods, before } });
+    res.json({ success: true, message: `Restored ${periods.join(", ")} leaderboard from ${req.params.name}`, snapshot: before });
   } catch (error) {
-    console.error("API reset leaderboard error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/announcement", requireAuth, async (req, res) => {
+app.post("/api/announcement", requireCapability("announcements.send"), async (req, res) => {
   try {
     const { channel, message } = req.body;
     
+    const guild = getRequestGuild(req);
+    const config = getGuildConfig(guild.id);
+    
     let channelId;
     switch (channel) {
       case 'leaderboard':
-        channelId = CHANNEL_ID;
+        channelId = config.leaderboardChannelId;
         break;
       case 'suggestions':
-        channelId = SUGGESTIONS_CHANNEL_ID;
+        channelId = config.suggestionsChannelId;
         break;
       case 'logs':
-        channelId = LOGS_CHANNEL_ID;
+        channelId = config.logsChannelId;
         break;
       default:
-        channelId = CHANNEL_ID;
+        channelId = config.leaderboardChannelId;
     }
+    if (!channelId) throw new Error(`No ${channel || 'leaderboard'} channel configured for this server`);
 
-    const discordChannel = await client.channels.fetch(channelId);
+    const discordChannel = await guild.channels.fetch(channelId);
     if (!discordChannel) {
       throw new Error("Channel not found");
     }
@@ -193,211 +1058,413 @@ app.post("/api/announcement", requireAuth, async (req, res) => {
       .setDescription(message)
       .setColor("Blue")
       .setTimestamp()
-      .setFooter({ text: "Sent via Web Dashboard" });
+      .setFooter({ text: `Sent via Web Dashboard by ${req.user.username}` });
 
     await discordChannel.send({ embeds: [embed] });
+    auditDashboardAction(req, guild.id, "announcement", { details: { channelId, message } });
     res.json({ success: true, message: "Announcement sent successfully" });
   } catch (error) {
-    console.error("API announcement error:", error);
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recent bot logs, newest first. Filters: level (minimum), source, search,
+// from, to; paged with limit and offset
+app.get("/api/logs", requireCapability("logs.view", { guildScoped: false }), (req, res) => {
+  try {
+    const { level, source, search, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let entries;
+    try {
+      entries = queryLogs({ level, source, search, from, to });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.json({ total: entries.length, sources: listLogSources(), entries: entries.slice(offset, offset + limit) });
+  } catch (error) {
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get("/api/logs", (req, res) => {
-  // Return basic logs - in production, you'd store these in a database
-  res.json([
-    { time: new Date().toISOString(), message: "✅ Bot started successfully" },
-    { time: new Date(Date.now() - 300000).toISOString(), message: `📊 Loaded leaderboard data (${Object.keys(leaderboard).length} users)` },
-    { time: new Date(Date.now() - 600000).toISOString(), message: `🔄 Bot uptime: ${Math.floor(process.uptime() / 60)} minutes` }
-  ]);
+// Live tail: new entries matching level, source and search as server-sent events
+app.get("/api/logs/stream", requireCapability("logs.view", { guildScoped: false }), (req, res) => {
+  let matches;
+  try {
+    const { level, source, search } = req.query;
+    matches = logFilter({ level, source, search });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const send = openEventStream(req, res, () => stopListening());
+  const stopListening = onLog((entry) => {
+    if (matches(entry)) send(entry);
+  });
+});
+
+// Live dashboard updates for one server as server-sent events, named after
+// the event type (see lib/events.js). Starts with the bot's current state.
+app.get("/api/stream", requireCapability("stats.view"), (req, res) => {
+  const guild = getRequestGuild(req);
+  const canSeeModeration = roleCapabilities(req.dashboardRole).includes("moderation.view");
+
+  const send = openEventStream(req, res, () => stopListening());
+  const stopListening = onEvent((event) => {
+    if (event.guildId !== null && event.guildId !== guild.id) return;
+    if (event.type === "moderation" && !canSeeModeration) return;
+    send(event, event.type);
+  });
+  send({ type: "bot", guildId: null, time: new Date().toISOString(), data: botState() }, "bot");
 });
 
 // Moderation API Endpoints
-app.post("/api/moderation/kick", requireAuth, async (req, res) => {
+app.post("/api/moderation/kick", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { userId, reason } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
+    const denied = await hierarchyError(req, guild, member, "kick");
+    if (denied) return res.status(403).json({ success: false, error: denied });
     
-    await member.kick(reason || "Kicked via dashboard");
-    res.json({ success: true, message: "User kicked successfully" });
+    const record = await kickMember(guild, member, {
+      ...dashboardActor(req),
+      reason: reason || "Kicked via dashboard",
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record);
+    res.json({ success: true, message: "User kicked successfully", caseId: record.id });
   } catch (error) {
-    console.error("API kick error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/ban", requireAuth, async (req, res) => {
+app.post("/api/moderation/ban", requireCapability("moderation.act"), async (req, res) => {
   try {
-    const { userId, reason } = req.body;
+    const { userId, reason, duration } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
+    const denied = await hierarchyError(req, guild, member, "ban");
+    if (denied) return res.status(403).json({ success: false, error: denied });
     
-    await member.ban({ reason: reason || "Banned via dashboard" });
-    res.json({ success: true, message: "User banned successfully" });
+    const durationMs = duration ? parseDuration(duration) : null;
+    if (duration && !durationMs) throw new Error("Invalid duration (use e.g. 30m, 12h, 7d, 2w, up to 365d)");
+    
+    const record = await banMember(guild, member, {
+      ...dashboardActor(req),
+      reason: reason || "Banned via dashboard",
+      durationMs,
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record, { durationText: durationMs ? formatDuration(durationMs) : "Permanent" });
+    res.json({ success: true, message: "User banned successfully", caseId: record.id });
   } catch (error) {
-    console.error("API ban error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/unban", requireAuth, async (req, res) => {
+app.post("/api/moderation/unban", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { userId } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
-    await guild.members.unban(userId);
-    res.json({ success: true, message: "User unbanned successfully" });
+    const record = await unbanUser(guild, userId, {
+      ...dashboardActor(req),
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record);
+    res.json({ success: true, message: "User unbanned successfully", caseId: record.id });
   } catch (error) {
-    console.error("API unban error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/timeout", requireAuth, async (req, res) => {
+app.post("/api/moderation/timeout", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { userId, duration, reason } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
+    const denied = await hierarchyError(req, guild, member, "time out");
+    if (denied) return res.status(403).json({ success: false, error: denied });
+    
+    const durationMs = parseDuration(duration || 10, "m");
+    if (!durationMs || durationMs > MAX_TIMEOUT) throw new Error("Duration must be between 1 minute and 28 days");
     
-    await member.timeout((duration || 10) * 60 * 1000, reason || "Timed out via dashboard");
-    res.json({ success: true, message: "User timed out successfully" });
+    const record = await timeoutMember(guild, member, {
+      ...dashboardActor(req),
+      reason: reason || "Timed out via dashboard",
+      durationMs,
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record, { durationText: formatDuration(durationMs) });
+    res.json({ success: true, message: "User timed out successfully", caseId: record.id });
   } catch (error) {
-    console.error("API timeout error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/untimeout", requireAuth, async (req, res) => {
+app.post("/api/moderation/untimeout", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { userId } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
     
-    await member.timeout(null);
-    res.json({ success: true, message: "Timeout removed successfully" });
+    const record = await untimeoutMember(guild, member, {
+      ...dashboardActor(req),
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record);
+    res.json({ success: true, message: "Timeout removed successfully", caseId: record.id });
   } catch (error) {
-    console.error("API untimeout error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/mute", requireAuth, async (req, res) => {
+app.post("/api/moderation/mute", requireCapability("moderation.act"), async (req, res) => {
   try {
-    const { userId, reason } = req.body;
+    const { userId, reason, duration } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
+    const denied = await hierarchyError(req, guild, member, "mute");
+    if (denied) return res.status(403).json({ success: false, error: denied });
     
-    if (mutedUserRoles.has(userId)) {
+    if (findActiveCase(guild.id, userId, "mute")) {
       throw new Error("User is already muted");
     }
     
-    let muteRole = guild.roles.cache.find((r) => r.name === "Muted");
-    
-    if (!muteRole) {
-      muteRole = await guild.roles.create({
-        name: "Muted",
-        color: "Grey",
-        permissions: [],
-      });
-      
-      const channels = guild.channels.cache;
-      for (const [, channel] of channels) {
-        try {
-          await channel.permissionOverwrites.edit(muteRole, {
-            SendMessages: false,
-            Speak: false,
-            AddReactions: false,
-          });
-        } catch (err) {
-          console.error(`Failed to set permissions for channel ${channel.name}:`, err);
-        }
-      }
-    }
-    
-    const userRoles = member.roles.cache
-      .filter(role => role.id !== guild.id)
-      .map(role => role.id);
+    const durationMs = duration ? parseDuration(duration) : null;
+    if (duration && !durationMs) throw new Error("Invalid duration (use e.g. 30m, 12h, 2d, 2w, up to 365d)");
     
-    mutedUserRoles.set(userId, userRoles);
-    await member.roles.set([muteRole.id]);
+    const { record } = await muteMember(guild, member, {
+      ...dashboardActor(req),
+      reason: reason || "Muted via dashboard",
+      durationMs,
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record, { durationText: durationMs ? formatDuration(durationMs) : "Permanent" });
     
-    res.json({ success: true, message: "User muted successfully", rolesRemoved: userRoles.length });
+    res.json({ success: true, message: "User muted successfully", rolesRemoved: record.roles.length, caseId: record.id, expiresAt: record.expiresAt });
   } catch (error) {
-    console.error("API mute error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/unmute", requireAuth, async (req, res) => {
+app.post("/api/moderation/unmute", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { userId } = req.body;
     
-    const guild = client.guilds.cache.first();
-    if (!guild) throw new Error("Guild not found");
+    const guild = getRequestGuild(req);
     
     const member = await guild.members.fetch(userId);
     if (!member) throw new Error("Member not found");
     
-    if (!mutedUserRoles.has(userId)) {
+    const muteCase = findActiveCase(guild.id, userId, "mute");
+    if (!muteCase) {
       throw new Error("User wasn't muted with role storage system");
     }
     
-    const storedRoles = mutedUserRoles.get(userId);
-    const muteRole = guild.roles.cache.find((r) => r.name === "Muted");
+    const record = await unmuteMember(guild, member, muteCase, {
+      ...dashboardActor(req),
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record);
+    
+    res.json({ success: true, message: "User unmuted successfully", rolesRestored: record.roles.length, caseId: record.id });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/moderation/warn", requireCapability("moderation.act"), async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+    
+    const guild = getRequestGuild(req);
+    
+    const member = await guild.members.fetch(userId);
+    if (!member) throw new Error("Member not found");
+    const denied = await hierarchyError(req, guild, member, "warn");
+    if (denied) return res.status(403).json({ success: false, error: denied });
+    
+    const { record, warnings, escalation } = await warnMember(guild, member, {
+      ...dashboardActor(req),
+      reason: reason || "Warned via dashboard",
+      source: "dashboard",
+    });
+    // warnMember posts its own log embed, including any escalation
+    auditDashboardAction(req, guild.id, "warn", {
+      targetId: member.id,
+      targetTag: member.user.tag,
+      caseId: record.id,
+      details: { reason: record.reason, warnings, escalationCaseId: escalation?.id ?? null },
+    });
     
-    const validRoles = storedRoles.filter(roleId => {
-      const role = guild.roles.cache.get(roleId);
-      return role && (!muteRole || role.id !== muteRole.id);
+    res.json({
+      success: true,
+      message: "User warned successfully",
+      caseId: record.id,
+      warnings,
+      escalation: escalation ? { action: escalation.action, caseId: escalation.id } : null
     });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/api/moderation/warnings/:userId", requireCapability("moderation.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    
+    res.json(listCases({ guildId: guild.id, targetId: req.params.userId, action: "warn", active: true }));
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/api/moderation/delwarn", requireCapability("moderation.act"), async (req, res) => {
+  try {
+    const { caseId } = req.body;
+    
+    const guild = getRequestGuild(req);
     
-    await member.roles.set(validRoles);
-    mutedUserRoles.delete(userId);
+    const warning = getCase(caseId);
+    if (!warning || warning.action !== "warn" || !warning.active || warning.guildId !== guild.id) {
+      throw new Error("Warning not found");
+    }
     
-    res.json({ success: true, message: "User unmuted successfully", rolesRestored: validRoles.length });
+    const { moderatorTag } = dashboardActor(req);
+    resolveCase(warning.id, { resolvedBy: moderatorTag });
+    logWarningDeleted(warning, moderatorTag);
+    auditDashboardAction(req, guild.id, "delwarn", {
+      targetId: warning.targetId,
+      targetTag: warning.targetTag,
+      caseId: warning.id,
+      details: { reason: warning.reason },
+    });
+    res.json({ success: true, message: `Warning #${warning.id} deleted` });
   } catch (error) {
-    console.error("API unmute error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post("/api/moderation/clear", requireAuth, async (req, res) => {
+app.post("/api/moderation/clear", requireCapability("moderation.act"), async (req, res) => {
   try {
     const { channelId, amount } = req.body;
     
-    const channel = await client.channels.fetch(channelId);
-    if (!channel) throw new Error("Channel not found");
+    const guild = getRequestGuild(req);
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel?.isTextBased()) throw new Error("Channel not found");
     
     if (amount < 1 || amount > 100) {
       throw new Error("Amount must be between 1 and 100");
     }
     
-    await channel.bulkDelete(amount, true);
-    res.json({ success: true, message: `Deleted ${amount} messages` });
+    const record = await clearMessages(channel, amount, {
+      ...dashboardActor(req),
+      source: "dashboard",
+    });
+    recordDashboardCase(req, record);
+    res.json({ success: true, message: `Deleted ${amount} messages`, caseId: record.id });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Automod rules (see lib/automodRules.js), with the hits per rule since the
+// bot started
+app.get("/api/automod/rules", requireCapability("config.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    res.json({
+      rules: getGuildConfig(guild.id).automod,
+      labels: Object.fromEntries(Object.entries(AUTOMOD_RULES).map(([name, { label }]) => [name, label])),
+      actions: AUTOMOD_ACTIONS,
+      ...getAutomodHits(guild.id),
+    });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { rule: { option: value } }. Options left out keep their values, null
+// resets an option (or a whole rule) to the default.
+app.patch("/api/automod/rules", requireCapability("config.edit"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const changes = req.body || {};
+    const listed = (value) => (Array.isArray(value) ? value : []); // Anything else fails validation
+    let rules;
+    try {
+      for (const [name, rule] of Object.entries(changes)) {
+        for (const channelId of listed(rule?.exemptChannels)) {
+          if (!guild.channels.cache.has(channelId)) throw new Error(`automod.${name}.exemptChannels: channel ${channelId} not found in this server`);
+        }
+        for (const roleId of listed(rule?.exemptRoles)) {
+          if (!guild.roles.cache.has(roleId)) throw new Error(`automod.${name}.exemptRoles: role ${roleId} not found in this server`);
+        }
+      }
+      rules = updateAutomodRules(guild.id, changes);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    auditDashboardAction(req, guild.id, "automod.update", { details: { changes } });
+    res.json({ success: true, message: "Automod rules saved", rules });
+  } catch (error) {
+    logApiError(req, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dashboard audit trail for a server, newest first. Filters: actor (dashboard
+// username, user id or Discord id), target (user id or tag), action, from, to
+app.get("/api/audit", requireCapability("audit.view"), (req, res) => {
+  try {
+    const guild = getRequestGuild(req);
+    const { actor, target, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    let entries;
+    try {
+      entries = listAudit({ guildId: guild.id, actor, target, action, from, to });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.json({ total: entries.length, entries: entries.slice(offset, offset + limit) });
   } catch (error) {
-    console.error("API clear error:", error);
+    logApiError(req, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -406,7 +1473,8 @@ app.get("/health", (req, res) => {
   res.json({ 
     status: "healthy", 
     uptime: process.uptime(),
-    users: Object.keys(leaderboard).length,
+    guilds: client.guilds.cache.size,
+    users: countTrackedUsers(),
     botOnline: client.isReady(),
     memory: process.memoryUsage()
   });
@@ -414,589 +1482,269 @@ app.get("/health", (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error("Express error:", error);
+  logApiError(req, error);
   res.status(500).json({ success: false, error: "Internal server error" });
 });
 
+adoptLegacyPassword();
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🌐 Dashboard server running on port ${PORT}`);
-  console.log(`📊 Access dashboard at: http://localhost:${PORT}/dashboard`);
+const server = app.listen(PORT, () => {
+  log.info(`🌐 Dashboard server running on port ${PORT}`);
+  log.info(`📊 Access dashboard at: http://localhost:${PORT}/dashboard`);
 });
 
-// -------------------- Discord Bot Logic --------------------
+// -------------------- Message Counting & XP --------------------
+client.on("messageCreate", async (msg) => {
+  if (msg.author.bot || !msg.guild) return;
+  if (await checkAutomod(msg)) return;
+  recordActivity(msg.guild.id, msg.channel.id, msg.author.id, msg.createdAt);
 
-// Remove winner role from all members
-async function removeWinnerRole(guild) {
-  try {
-    const role = await guild.roles.fetch(WINNER_ROLE_ID);
-    if (!role) {
-      console.error("❌ Winner role not found!");
-      return;
-    }
-    for (const [, member] of role.members) {
-      try {
-        await member.roles.remove(WINNER_ROLE_ID);
-        console.log(`✅ Removed winner role from ${member.user.tag}`);
-      } catch (err) {
-        console.error(`❌ Failed to remove role from ${member.user.tag}:`, err);
-      }
-    }
-  } catch (err) {
-    console.error("❌ Error removing winner role:", err);
-  }
-}
+  const { counted, points } = checkMessage(msg);
+  if (!counted) return;
 
-async function giveWinnerRole(guild, winnerId) {
-  try {
-    const member = await guild.members.fetch(winnerId);
-    if (!member) return;
-    await member.roles.add(WINNER_ROLE_ID);
-    console.log(`✅ Gave winner role to ${member.user.tag}`);
-  } catch (err) {
-    console.error(`❌ Failed to give winner role to ${winnerId}:`, err);
+  recordMessage(msg.guild.id, msg.author.id, points);
+
+  const xp = awardXp(msg.guild.id, msg.author.id);
+  if (xp?.leveledUp) {
+    await announceLevelUp(msg, xp.level);
+    if (msg.member) await applyLevelRoles(msg.member, xp.level);
   }
-}
+});
 
-async function sendLeaderboard() {
-  try {
-    const channel = await client.channels.fetch(CHANNEL_ID);
-    if (!channel) {
-      console.error("❌ Leaderboard channel not found!");
-      return;
-    }
-    const guild = channel.guild;
+// -------------------- Member Joins & Leaves --------------------
+client.on("guildMemberAdd", (member) => {
+  publishEvent("member.join", member.guild.id, {
+    userId: member.id,
+    username: member.user.username,
+    bot: member.user.bot,
+    joinedAt: member.joinedAt,
+    memberCount: member.guild.memberCount,
+  });
+  handleMemberJoin(member);
+});
 
-    await removeWinnerRole(guild);
+// Members who pass membership screening get the auto-role they had to wait for
+client.on("guildMemberUpdate", (oldMember, newMember) => {
+  if (oldMember.pending && !newMember.pending) giveAutoRole(newMember);
+});
 
-    const sorted = Object.entries(leaderboard)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10);
+client.on("guildMemberRemove", (member) => {
+  publishEvent("member.leave", member.guild.id, {
+    userId: member.id,
+    username: member.user.username,
+    memberCount: member.guild.memberCount,
+  });
+  handleMemberLeave(member);
+});
 
-    if (sorted.length === 0) {
-      await channel.send("📊 No messages recorded this week!");
-      return;
-    }
+// -------------------- Message Edits & Deletes --------------------
+client.on("messageUpdate", (oldMessage, newMessage) => {
+  handleMessageUpdate(oldMessage, newMessage).catch((err) => log.error("❌ Failed to log edited message", err));
+});
 
-    const medalEmojis = ["🥇", "🥈", "🥉"];
-    const top3 = sorted
-      .slice(0, 3)
-      .map(([id, count], i) => `#${i + 1} <@${id}> with **${count}** messages ${medalEmojis[i]}`)
-      .join("\n");
-    const next7 = sorted
-      .slice(3)
-      .map(([id, count], i) => `#${i + 4} <@${id}> with **${count}** messages`)
-      .join("\n");
+client.on("messageDelete", (message) => {
+  handleMessageDelete(message).catch((err) => log.error("❌ Failed to log deleted message", err));
+});
 
-    const top3Winners = sorted.slice(0, 3);
-    let mentionMessage = "🎉 **This week's top winners:** ";
-    if (top3Winners.length >= 1) mentionMessage += `🥇 <@${top3Winners[0][0]}>`;
-    if (top3Winners.length >= 2) mentionMessage += ` 🥈 <@${top3Winners[1][0]}>`;
-    if (top3Winners.length >= 3) mentionMessage += ` 🥉 <@${top3Winners[2][0]}>`;
-    mentionMessage += " 🎉";
+client.on("messageDeleteBulk", (messages, channel) => {
+  handleMessageDeleteBulk(messages, channel).catch((err) => log.error("❌ Failed to log bulk delete", err));
+});
 
-    const totalMessages = Object.values(leaderboard).reduce((a, b) => a + b, 0);
-    const embed = new EmbedBuilder()
-      .setTitle("🏆 Weekly Leaderboard Winners")
-      .setColor("Blue")
-      .setDescription(`${top3}\n\n${next7 || ""}\n\n📊 **Total Messages This Week:** ${totalMessages}\n🔄 The leaderboard will now reset!`)
-      .setImage(
-        "https://media.discordapp.net/attachments/1420424697501192293/1420428275381178368/3c907b8f-7bc7-48d6-8f40-773308e211da.png?ex=68d55c6b&is=68d40aeb&hm=ceda1d988eaee48ee6c3c94059827cb8c5fcf1f94bf2e3eb4b17233b6fb4e00e&=&format=webp&quality=lossless&width=908&height=605"
-      )
-      .setFooter({
-        text: `Leaderboard | ${new Date().toLocaleDateString(
-          "en-GB"
-        )} ${new Date().toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" })}`,
-      });
-
-    await channel.send({
-      content: mentionMessage,
-      embeds: [embed],
-      allowedMentions: { parse: ["users"] },
-    });
+// -------------------- Suggestion Votes --------------------
+client.on("messageReactionAdd", (reaction, user) => {
+  if (!user.bot) syncVotes(reaction);
+});
 
-    if (sorted.length > 0) await giveWinnerRole(guild, sorted[0][0]);
+client.on("messageReactionRemove", (reaction, user) => {
+  if (!user.bot) syncVotes(reaction);
+});
 
-    leaderboard = {};
-    saveData(true);
-    console.log("✅ Weekly leaderboard sent and reset");
-  } catch (err) {
-    console.error("❌ Error sending leaderboard:", err);
+// -------------------- Prefix Command Handler --------------------
+client.on("messageCreate", async (msg) => {
+  if (msg.author.bot || !msg.guild) return;
+  if (await checkAutomod(msg)) return;
+
+  const { prefix } = getGuildConfig(msg.guild.id);
+  if (!msg.content.startsWith(prefix)) return;
+
+  const args = msg.content.slice(prefix.length).trim().split(/ +/);
+  const name = args.shift().toLowerCase();
+  if (!/^[a-z]+$/.test(name)) return; // "!!!", "!?" and the like aren't commands
+
+  const command = getCommand(name);
+  if (!command) {
+    const suggestion = findSimilarCommand(name, msg.member);
+    const hint = suggestion ? ` Did you mean \`${prefix}${suggestion}\`?` : ` Use \`${prefix}help\` to see all commands.`;
+    return msg.reply(`❓ Unknown command \`${prefix}${name}\`.${hint}`)
+      .then(reply => setTimeout(() => reply.delete().catch(() => {}), 5000))
+      .catch(() => {});
   }
-}
 
-async function logAction(embed) {
   try {
-    if (LOGS_CHANNEL_ID) {
-      const logsChannel = await client.channels.fetch(LOGS_CHANNEL_ID);
-      if (logsChannel) {
-        await logsChannel.send({ embeds: [embed] });
-      }
-    }
-  } catch (err) {
-    console.error("❌ Failed to send log:", err);
+    await runCommand(command, await createMessageContext(msg, args, command));
+  } catch (error) {
+    log.error(`❌ Error handling /${command.name}`, error);
   }
-}
+});
 
-function checkCooldown(userId, commandName) {
-  const key = `${userId}-${commandName}`;
-  const now = Date.now();
-  
-  if (cooldowns.has(key)) {
-    const expirationTime = cooldowns.get(key) + COOLDOWN_TIME;
-    if (now < expirationTime) {
-      const timeLeft = (expirationTime - now) / 1000;
-      return timeLeft;
+// -------------------- Slash Command Handler --------------------
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.inCachedGuild()) return;
+
+  if (interaction.isAutocomplete()) {
+    const command = getCommand(interaction.commandName);
+    const focused = interaction.options.getFocused(true);
+    const option = command?.options?.find((o) => o.name === focused.name);
+    if (!option) return;
+
+    try {
+      const choices = option.type === "duration"
+        ? suggestDurations(focused.value, option.max)
+        : await option.autocomplete(interaction.guild, focused.value);
+      await interaction.respond(choices.slice(0, 25));
+    } catch (error) {
+      log.error(`❌ Autocomplete failed for /${interaction.commandName}`, error);
+      await interaction.respond([]).catch(() => {});
     }
+    return;
   }
-  
-  cooldowns.set(key, now);
-  return false;
-}
 
-// -------------------- Message Counting with Rate Limiting --------------------
-client.on("messageCreate", (msg) => {
-  if (msg.author.bot) return;
-  if (!leaderboard[msg.author.id]) leaderboard[msg.author.id] = 0;
-  leaderboard[msg.author.id]++;
-  saveData(); // Will only save every 30 seconds due to rate limiting
+  if (!interaction.isChatInputCommand()) return;
+  const command = getCommand(interaction.commandName);
+  if (!command) return;
+
+  await runCommand(command, createInteractionContext(interaction, command));
 });
 
-// -------------------- Enhanced Command Handler --------------------
-client.on("messageCreate", async (msg) => {
-  if (msg.author.bot || !msg.content.startsWith(PREFIX)) return;
-  
-  const args = msg.content.slice(PREFIX.length).trim().split(/ +/);
-  const command = args.shift().toLowerCase();
+client.on("guildCreate", (guild) => {
+  registerSlashCommands(guild);
+});
 
-  // Check cooldown
-  const timeLeft = checkCooldown(msg.author.id, command);
-  if (timeLeft) {
-    return msg.reply(`⏰ Please wait ${timeLeft.toFixed(1)} seconds before using this command again.`)
-      .then(reply => setTimeout(() => reply.delete().catch(() => {}), 5000));
+// -------------------- Cron Jobs --------------------
+// One schedule per leaderboard period (config.leaderboard.periods)
+for (const period of PERIODS) {
+  const { schedule } = getPeriodSettings(period);
+  if (!schedule) continue;
+  if (!cron.validate(schedule)) {
+    log.warn(`⚠️ Invalid schedule "${schedule}" for the ${period} leaderboard, it will never end`);
+    continue;
   }
 
-  try {
-    // Test Leaderboard Command
-    if (command === "testlb") {
-      if (!msg.member.permissions.has("Administrator")) {
-        return msg.reply("❌ You need Administrator permissions to use this command.");
-      }
-      await sendLeaderboard();
-      await msg.react("✅").catch(() => {});
-    }
-
-    // Enhanced Suggestion Command
-    if (command === "suggestion") {
-      const suggestionText = args.join(" ");
-      if (!suggestionText) {
-        return msg.reply("❌ Please provide a suggestion! Usage: `!suggestion Your suggestion here`")
-          .then(reply => setTimeout(() => reply.delete().catch(() => {}), 5000));
-      }
-      
-      if (suggestionText.length > 1000) {
-        return msg.reply("❌ Suggestion too long! Please keep it under 1000 characters.")
-          .then(reply => setTimeout(() => reply.delete().catch(() => {}), 5000));
-      }
-
-      const suggestionsChannel = await client.channels.fetch(SUGGESTIONS_CHANNEL_ID);
-      if (!suggestionsChannel) {
-        return msg.reply("❌ Suggestions channel not found!");
-      }
-
-      const embed = new EmbedBuilder()
-        .setTitle("💡 New Suggestion")
-        .setDescription(suggestionText)
-        .setColor("Yellow")
-        .setAuthor({
-          name: msg.author.displayName || msg.author.username,
-          iconURL: msg.author.displayAvatarURL(),
-        })
-        .setTimestamp()
-        .setFooter({ text: `User ID: ${msg.author.id}` });
-
-      const suggestionMsg = await suggestionsChannel.send({ embeds: [embed] });
-      await suggestionMsg.react("✅");
-      await suggestionMsg.react("❌");
-
-      await msg.react("✅");
-      await msg.delete().catch(() => {});
-    }
-
-    // Enhanced Moderation Commands
-    if (command === "kick") {
-      if (!msg.member.permissions.has("KickMembers")) {
-        return msg.reply("❌ You need Kick Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      if (!member) return msg.reply("❌ Please mention a user to kick!");
-      
-      if (member.roles.highest.position >= msg.member.roles.highest.position && msg.author.id !== msg.guild.ownerId) {
-        return msg.reply("❌ You cannot kick this user (role hierarchy).");
-      }
-
-      const reason = args.slice(1).join(" ") || "No reason provided";
-      
-      try {
-        await member.kick(reason);
-        msg.reply(`✅ Kicked ${member.user.tag} | Reason: ${reason}`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("👢 User Kicked")
-          .setColor("Orange")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true },
-            { name: "Reason", value: reason, inline: false }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to kick user. Check my permissions and role hierarchy.");
-      }
-    }
-
-    if (command === "ban") {
-      if (!msg.member.permissions.has("BanMembers")) {
-        return msg.reply("❌ You need Ban Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      if (!member) return msg.reply("❌ Please mention a user to ban!");
-      
-      if (member.roles.highest.position >= msg.member.roles.highest.position && msg.author.id !== msg.guild.ownerId) {
-        return msg.reply("❌ You cannot ban this user (role hierarchy).");
-      }
-
-      const reason = args.slice(1).join(" ") || "No reason provided";
-      
-      try {
-        await member.ban({ reason });
-        msg.reply(`✅ Banned ${member.user.tag} | Reason: ${reason}`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("🔨 User Banned")
-          .setColor("Red")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true },
-            { name: "Reason", value: reason, inline: false }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to ban user. Check my permissions and role hierarchy.");
-      }
-    }
-
-    if (command === "unban") {
-      if (!msg.member.permissions.has("BanMembers")) {
-        return msg.reply("❌ You need Ban Members permission to use this command.");
-      }
-      
-      const userId = args[0];
-      if (!userId) return msg.reply("❌ Please provide a user ID to unban.");
-      
-      try {
-        await msg.guild.members.unban(userId);
-        msg.reply(`✅ User <@${userId}> has been unbanned.`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("✅ User Unbanned")
-          .setColor("Green")
-          .addFields(
-            { name: "User ID", value: userId, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to unban user. Check the user ID and my permissions.");
-      }
-    }
-
-    if (command === "timeout") {
-      if (!msg.member.permissions.has("ModerateMembers")) {
-        return msg.reply("❌ You need Moderate Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      const duration = parseInt(args[1]) || 10;
-      const reason = args.slice(2).join(" ") || "No reason provided";
-      
-      if (!member) return msg.reply("❌ Please mention a user to timeout!");
-      if (duration < 1 || duration > 1440) return msg.reply("❌ Duration must be between 1 and 1440 minutes (24 hours).");
-      
-      try {
-        await member.timeout(duration * 60 * 1000, reason);
-        msg.reply(`✅ Timed out ${member.user.tag} for ${duration} minutes | Reason: ${reason}`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("⏲️ User Timed Out")
-          .setColor("Yellow")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Duration", value: `${duration} minutes`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true },
-            { name: "Reason", value: reason, inline: false }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to timeout user. Check my permissions.");
-      }
-    }
-
-    if (command === "untimeout") {
-      if (!msg.member.permissions.has("ModerateMembers")) {
-        return msg.reply("❌ You need Moderate Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      if (!member) return msg.reply("❌ Please mention a user to remove timeout!");
-      
-      try {
-        await member.timeout(null);
-        msg.reply(`✅ Removed timeout from ${member.user.tag}`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("✅ Timeout Removed")
-          .setColor("Green")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to remove timeout. Check my permissions.");
-      }
+  cron.schedule(schedule, async () => {
+    log.info(`🕐 Running ${period} leaderboard...`);
+    for (const guild of client.guilds.cache.values()) {
+      await endPeriod(guild, period);
     }
+  });
+}
 
-    // Enhanced Mute with Role Storage
-    if (command === "mute") {
-      if (!msg.member.permissions.has("ModerateMembers")) {
-        return msg.reply("❌ You need Moderate Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      if (!member) return msg.reply("❌ Please mention a user to mute!");
-
-      if (mutedUserRoles.has(member.id)) {
-        return msg.reply("❌ This user is already muted!");
-      }
-
-      let muteRole = msg.guild.roles.cache.find((r) => r.name === "Muted");
-
-      if (!muteRole) {
-        try {
-          muteRole = await msg.guild.roles.create({
-            name: "Muted",
-            color: "Grey",
-            permissions: [],
-          });
-          
-          const channels = msg.guild.channels.cache;
-          for (const [, channel] of channels) {
-            try {
-              await channel.permissionOverwrites.edit(muteRole, {
-                SendMessages: false,
-                Speak: false,
-                AddReactions: false,
-              });
-            } catch (err) {
-              console.error(`Failed to set permissions for channel ${channel.name}:`, err);
-            }
-          }
-          
-          msg.channel.send("🔧 Created `Muted` role with proper permissions.");
-        } catch (err) {
-          console.error("❌ Failed to create Muted role:", err);
-          return msg.reply("❌ Couldn't create Muted role. Check my permissions.");
-        }
-      }
-
-      const reason = args.slice(1).join(" ") || "No reason provided";
-
-      try {
-        // Store user's current roles (excluding @everyone)
-        const userRoles = member.roles.cache
-          .filter(role => role.id !== msg.guild.id)
-          .map(role => role.id);
-        
-        mutedUserRoles.set(member.id, userRoles);
-        
-        // Remove all roles except @everyone and add mute role
-        await member.roles.set([muteRole.id]);
-        
-        msg.reply(`✅ Muted ${member.user.tag} | Removed ${userRoles.length} role(s) | Reason: ${reason}`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("🔇 User Muted")
-          .setColor("Grey")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true },
-            { name: "Roles Removed", value: `${userRoles.length} role(s)`, inline: true },
-            { name: "Reason", value: reason, inline: false }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        mutedUserRoles.delete(member.id);
-        console.error("Mute error:", error);
-        msg.reply("❌ Failed to mute user. Check my permissions and role hierarchy.");
-      }
-    }
+// Lift expired temporary mutes and bans
+cron.schedule("* * * * *", () => {
+  processExpiredCases();
+});
 
-    // Enhanced Unmute with Role Restoration
-    if (command === "unmute") {
-      if (!msg.member.permissions.has("ModerateMembers")) {
-        return msg.reply("❌ You need Moderate Members permission to use this command.");
-      }
-      
-      const member = msg.mentions.members.first();
-      if (!member) return msg.reply("❌ Please mention a user to unmute!");
-
-      const muteRole = msg.guild.roles.cache.find((r) => r.name === "Muted");
-      if (!muteRole) return msg.reply("❌ No 'Muted' role found.");
-      
-      if (!mutedUserRoles.has(member.id)) {
-        return msg.reply("❌ This user wasn't muted with the role storage system, or their role data was lost.");
-      }
-      
-      try {
-        const storedRoles = mutedUserRoles.get(member.id);
-        
-        const validRoles = storedRoles.filter(roleId => {
-          const role = msg.guild.roles.cache.get(roleId);
-          return role && role.id !== muteRole.id;
-        });
-        
-        await member.roles.set(validRoles);
-        mutedUserRoles.delete(member.id);
-        
-        msg.reply(`✅ Unmuted ${member.user.tag} | Restored ${validRoles.length} role(s)`);
-
-        const embed = new EmbedBuilder()
-          .setTitle("🔊 User Unmuted")
-          .setColor("Green")
-          .addFields(
-            { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true },
-            { name: "Roles Restored", value: `${validRoles.length} role(s)`, inline: true }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        console.error("Unmute error:", error);
-        msg.reply("❌ Failed to unmute user. Check my permissions.");
-      }
-    }
+// Save data periodically
+cron.schedule("*/5 * * * *", () => {
+  saveData(true);
+  saveLevels(true);
+  flushAnalytics();
+  log.debug("💾 Periodic data save completed");
+});
 
-    if (command === "clear") {
-      if (!msg.member.permissions.has("ManageMessages")) {
-        return msg.reply("❌ You need Manage Messages permission to use this command.");
-      }
-      
-      const amount = parseInt(args[0]);
-      if (isNaN(amount) || amount < 1 || amount > 100) {
-        return msg.reply("❌ Please provide a number between 1 and 100.");
-      }
-      
-      try {
-        await msg.channel.bulkDelete(amount, true);
-        const confirmMsg = await msg.reply(`✅ Deleted ${amount} messages.`);
-        setTimeout(() => confirmMsg.delete().catch(() => {}), 3000);
-
-        const embed = new EmbedBuilder()
-          .setTitle("🗑️ Messages Cleared")
-          .setColor("Blue")
-          .addFields(
-            { name: "Channel", value: msg.channel.name, inline: true },
-            { name: "Amount", value: amount.toString(), inline: true },
-            { name: "Moderator", value: `${msg.author.tag}`, inline: true }
-          )
-          .setTimestamp();
-        logAction(embed);
-      } catch (error) {
-        msg.reply("❌ Failed to delete messages. They might be too old or I lack permissions.");
-      }
+// -------------------- Single-Server Migration --------------------
+// Settings from .env and the old flat leaderboard.json belong to the server
+// the configured channels are in (or the only server the bot is in).
+async function migrateSingleServerSetup() {
+  let guild = null;
+  for (const channelId of getLegacyChannelIds()) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (channel?.guild) {
+      guild = channel.guild;
+      break;
     }
-
-    // Permission-based Help Command
-    if (command === "help") {
-      const isAdmin = msg.member.permissions.has("Administrator");
-      const isModerator = msg.member.permissions.has("KickMembers") || 
-                         msg.member.permissions.has("BanMembers") || 
-                         msg.member.permissions.has("ModerateMembers");
-
-      const embed = new EmbedBuilder()
-        .setTitle("🤖 Bot Commands")
-        .setColor("Blue")
-        .setFooter({ text: "Commands shown based on your permissions" })
-        .setTimestamp();
-
-      embed.addFields(
-        { name: "💡 Suggestions", value: "`!suggestion <text>` - Submit a suggestion", inline: false },
-        { name: "ℹ️ Info", value: "`!help` - Show this help message", inline: false }
-      );
-
-      if (isAdmin) {
-        embed.addFields(
-          { name: "📊 Admin Commands", value: "`!testlb` - Test leaderboard", inline: false }
-        );
-      }
-
-      if (isModerator || isAdmin) {
-        embed.addFields(
-          { name: "🛡️ Moderation Commands", value: "`!kick @user [reason]`\n`!ban @user [reason]`\n`!unban <userid>`\n`!timeout @user [minutes] [reason]`\n`!untimeout @user`\n`!mute @user [reason]`\n`!unmute @user`\n`!clear <amount>`", inline: false }
-        );
-      }
-
-      await msg.reply({ embeds: [embed] });
+  }
+  if (!guild && client.guilds.cache.size === 1) guild = client.guilds.cache.first();
+  if (!guild) {
+    if (hasLegacyLeaderboard()) {
+      log.warn("⚠️ Couldn't tell which server leaderboard.json belongs to, moved it to leaderboard.legacy.json");
+      adoptLegacyLeaderboard(null);
     }
+    return;
+  }
 
-  } catch (error) {
-    console.error(`Error executing command ${command}:`, error);
-    msg.reply("❌ An error occurred while executing this command.").catch(() => {});
+  if (adoptLegacySettings(guild.id)) {
+    log.info(`✅ Moved .env channel settings to ${guild.name}`);
   }
-});
+  if (hasLegacyLeaderboard()) {
+    adoptLegacyLeaderboard(guild.id);
+    log.info(`✅ Moved leaderboard data to ${guild.name}`);
+  }
+}
 
-// -------------------- Cron Jobs --------------------
-cron.schedule("0 0 * * 0", () => {
-  console.log("🕐 Running weekly leaderboard...");
-  sendLeaderboard();
+// -------------------- Ready & Error Events --------------------
+client.once("ready", async () => {
+  log.info(`✅ Logged in as ${client.user.tag}`);
+  log.info(`🔗 Bot is in ${client.guilds.cache.size} server(s)`);
+  await migrateSingleServerSetup();
+  log.info(`📊 Leaderboard has ${countTrackedUsers()} users`);
+  log.info("🚀 Bot is fully ready!");
+  client.guilds.cache.forEach(registerSlashCommands);
+  processExpiredCases(); // Catch up on anything that expired while offline
 });
 
-// Save data periodically
-cron.schedule("*/5 * * * *", () => {
-  saveData(true);
-  console.log("💾 Periodic data save completed");
-});
+// -------------------- Connection State --------------------
+// Pushed to the dashboard so its status light follows the gateway connection
+let connectionState = "connecting";
 
-// -------------------- Ready & Error Events --------------------
-client.once("ready", () => {
-  console.log(`✅ Logged in as ${client.user.tag}`);
-  console.log(`🔗 Bot is in ${client.guilds.cache.size} server(s)`);
-  console.log(`📊 Leaderboard has ${Object.keys(leaderboard).length} users`);
-  console.log("🚀 Bot is fully ready!");
-});
+function botState() {
+  return { online: connectionState === "ready", state: connectionState };
+}
+
+function setConnectionState(state) {
+  connectionState = state;
+  publishEvent("bot", null, botState());
+}
+
+client.on("shardReady", () => setConnectionState("ready"));
+client.on("shardResume", () => setConnectionState("ready"));
+client.on("shardReconnecting", () => setConnectionState("reconnecting"));
+client.on("shardDisconnect", () => setConnectionState("disconnected"));
 
 client.on("error", (error) => {
-  console.error("❌ Discord client error:", error);
+  log.error("❌ Discord client error", error);
 });
 
 process.on("unhandledRejection", (error) => {
-  console.error("❌ Unhandled promise rejection:", error);
+  log.error("❌ Unhandled promise rejection", error);
 });
 
-process.on("SIGINT", () => {
-  console.log("👋 Bot shutting down...");
-  saveData(true); // Save data before exit
-  client.destroy();
+// -------------------- Graceful Shutdown --------------------
+// Ctrl+C sends SIGINT; Docker, systemd and most hosts stop the bot with
+// SIGTERM. Either way pending counts and XP are written, and queued storage
+// writes finish, before exiting.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`👋 Bot shutting down (${signal})...`);
+
+  saveData(true);
+  saveLevels(true);
+  flushAnalytics();
+  try {
+    await closeStorage();
+  } catch (err) {
+    log.error("❌ Failed to close storage", err);
+  }
+  server.close();
+  await client.destroy();
   process.exit(0);
-});
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
+await loadCommands();
 client.login(process.env.TOKEN);
\ No newline at end of file
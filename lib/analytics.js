@@ -0,0 +1,200 @@
+import config from "./config.js";
+import { createLogger } from "./logger.js";
+import { getAll, setValues } from "./storage.js";
+
+const log = createLogger("analytics");
+
+// -------------------- Activity Analytics --------------------
+// Every member message, counted for the leaderboard or not, is tallied in one
+// bucket per server and day, stored in the "analytics" namespace under
+// "guildId:YYYY-MM-DD":
+//   { messages, hours: [24 counts], channels: { channelId: count },
+//     users: { userId: { messages, hours: { hour: count }, channels } },
+//     joins, leaves }
+// A member's hours only list the hours they posted in, most members are
+// active in a few. joins and leaves count members arriving and leaving that
+// day (buckets written before they were tracked don't have them, and older
+// buckets may hold a member's hours as a full array).
+// Days and hours are in config.analytics.timezone, and buckets older than
+// config.analytics.retentionDays are dropped. Message content is never kept.
+const { timezone, retentionDays } = config.analytics;
+const FLUSH_INTERVAL = 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 3600 * 1000;
+
+let dateParts;
+try {
+  dateParts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    hourCycle: "h23",
+  });
+} catch {
+  throw new Error(`config.analytics.timezone "${timezone}" is not a time zone, use a name like "Europe/Berlin" or "UTC"`);
+}
+
+const buckets = new Map(Object.entries(getAll("analytics")));
+const dirty = new Set(); // keys changed since the last flush
+
+const emptyHours = () => new Array(24).fill(0);
+const bucketKey = (guildId, day) => `${guildId}:${day}`;
+
+function localTime(date = new Date()) {
+  const parts = Object.fromEntries(dateParts.formatToParts(date).map(({ type, value }) => [type, value]));
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday, for the calendar date itself
+function weekday(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+// The last `days` days, oldest first, ending today
+function lastDays(days) {
+  const today = localTime().day;
+  return Array.from({ length: days }, (_, index) => shiftDay(today, index - days + 1));
+}
+
+export function getRetentionDays() {
+  return retentionDays;
+}
+
+export function getTimezone() {
+  return timezone;
+}
+
+function getBucket(guildId, day) {
+  const key = bucketKey(guildId, day);
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { messages: 0, hours: emptyHours(), channels: {}, users: {}, joins: 0, leaves: 0 };
+    buckets.set(key, bucket);
+  }
+  dirty.add(key);
+  return bucket;
+}
+
+export function recordActivity(guildId, channelId, userId, at = new Date()) {
+  const { day, hour } = localTime(at);
+  const bucket = getBucket(guildId, day);
+
+  const user = (bucket.users[userId] ||= { messages: 0, hours: {}, channels: {} });
+  for (const tally of [bucket, user]) {
+    tally.messages++;
+    tally.hours[hour] = (tally.hours[hour] || 0) + 1;
+    tally.channels[channelId] = (tally.channels[channelId] || 0) + 1;
+  }
+}
+
+// change: "join" or "leave"
+export function recordMembership(guildId, change, at = new Date()) {
+  const bucket = getBucket(guildId, localTime(at).day);
+  const field = change === "join" ? "joins" : "leaves";
+  bucket[field] = (bucket[field] || 0) + 1;
+}
+
+// Busy servers change today's bucket many times a second, so changes are
+// written together once per FLUSH_INTERVAL (and on shutdown)
+export function flushAnalytics() {
+  if (dirty.size === 0) return;
+  setValues("analytics", Object.fromEntries([...dirty].map((key) => [key, buckets.get(key)])));
+  dirty.clear();
+}
+
+function pruneAnalytics() {
+  const oldest = shiftDay(localTime().day, 1 - retentionDays);
+  const removed = {};
+  for (const key of buckets.keys()) {
+    if (key.slice(key.indexOf(":") + 1) >= oldest) continue;
+    buckets.delete(key);
+    dirty.delete(key);
+    removed[key] = null;
+  }
+  const count = Object.keys(removed).length;
+  if (count === 0) return;
+  setValues("analytics", removed);
+  log.info(`🧹 Dropped ${count} day(s) of activity older than ${retentionDays} days`);
+}
+
+pruneAnalytics();
+setInterval(flushAnalytics, FLUSH_INTERVAL).unref();
+setInterval(pruneAnalytics, PRUNE_INTERVAL).unref();
+
+// -------------------- Queries --------------------
+// `days` is the number of days up to and including today. With a userId
+// only that member's messages are included.
+function tallies(guildId, days, userId = null) {
+  return lastDays(days).map((day) => {
+    const bucket = buckets.get(bucketKey(guildId, day));
+    return { day, tally: userId ? bucket?.users[userId] : bucket };
+  });
+}
+
+function sumChannels(entries) {
+  const channels = {};
+  for (const { tally } of entries) {
+    for (const [channelId, count] of Object.entries(tally?.channels || {})) {
+      channels[channelId] = (channels[channelId] || 0) + count;
+    }
+  }
+  return Object.entries(channels)
+    .sort((a, b) => b[1] - a[1])
+    .map(([channelId, messages]) => ({ channelId, messages }));
+}
+
+// Messages per weekday (rows, Sunday first) and hour (columns)
+function sumHeatmap(entries) {
+  const grid = Array.from({ length: 7 }, emptyHours);
+  for (const { day, tally } of entries) {
+    if (!tally) continue;
+    for (const [hour, count] of Object.entries(tally.hours)) grid[weekday(day)][hour] += count;
+  }
+  return grid;
+}
+
+export function getChannelActivity(guildId, days) {
+  return sumChannels(tallies(guildId, days));
+}
+
+export function getHeatmap(guildId, days) {
+  return sumHeatmap(tallies(guildId, days));
+}
+
+// One entry per day, including days without messages
+export function getDailyTrend(guildId, days) {
+  return tallies(guildId, days).map(({ day, tally }) => ({
+    date: day,
+    messages: tally?.messages ?? 0,
+    activeUsers: Object.keys(tally?.users || {}).length,
+  }));
+}
+
+// Members joining and leaving per day, oldest first
+export function getGrowth(guildId, days) {
+  return tallies(guildId, days).map(({ day, tally }) => {
+    const joins = tally?.joins ?? 0;
+    const leaves = tally?.leaves ?? 0;
+    return { date: day, joins, leaves, net: joins - leaves };
+  });
+}
+
+export function getUserActivity(guildId, userId, days) {
+  const entries = tallies(guildId, days, userId);
+  const daily = entries.map(({ day, tally }) => ({ date: day, messages: tally?.messages ?? 0 }));
+
+  return {
+    userId,
+    messages: daily.reduce((total, { messages }) => total + messages, 0),
+    activeDays: daily.filter(({ messages }) => messages > 0).length,
+    channels: sumChannels(entries),
+    heatmap: sumHeatmap(entries),
+    daily,
+  };
+}
@@ -0,0 +1,99 @@
+// -------------------- Leaderboard Announcement Templates --------------------
+// The end-of-period announcement is built from the server's `announcement`
+// setting (see config.guildDefaults):
+//   title, mention, line, summary - text with {placeholders}
+//   color                         - embed colour, "#rrggbb"
+//   imageUrl                      - image shown under the embed, or null
+//   topCount                      - members listed, one `line` each
+//   rewardRoles                   - { placement: roleId }, placement "1" or a
+//                                   range like "1-10"
+// `line` is repeated for every listed member. `mention` is the message text
+// above the embed, where mentions actually ping.
+export const TEMPLATE_FIELDS = ["title", "mention", "line", "summary"];
+
+const PLACEHOLDERS = {
+  period: "Name of the period, e.g. Weekly",
+  span: "The period's time span, e.g. This Week",
+  owner: "Whose board it is, e.g. This week's",
+  total: "Messages sent by everyone in the period",
+  members: "Members on the board",
+  winners: "The top 3 mentioned, with medals",
+  reset: "A note that the board now resets (empty if it doesn't)",
+  server: "Server name",
+};
+// Only in `line`
+const LINE_PLACEHOLDERS = {
+  rank: "Placement, e.g. 1",
+  user: "The member, mentioned",
+  count: "The member's messages",
+  medal: "🥇, 🥈 or 🥉 for the top 3",
+};
+
+export const MAX_TOP_COUNT = 25;
+const MEDALS = ["🥇", "🥈", "🥉"];
+const DESCRIPTION_LIMIT = 4096; // Discord's embed limits
+const TITLE_LIMIT = 256;
+
+export function describePlaceholders() {
+  return { all: PLACEHOLDERS, line: LINE_PLACEHOLDERS };
+}
+
+function fill(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(values, name) ? String(values[name]) : match));
+}
+
+// Names in {braces} that the field doesn't know, for validation
+export function unknownPlaceholders(field, text) {
+  const known = field === "line" ? { ...PLACEHOLDERS, ...LINE_PLACEHOLDERS } : PLACEHOLDERS;
+  return [...String(text).matchAll(/\{(\w+)\}/g)].map(([, name]) => name).filter((name) => !Object.hasOwn(known, name));
+}
+
+// Placement ranges as [first, last], "3" being [3, 3]
+export function parsePlacement(placement) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(placement));
+  if (!match) return null;
+  const first = Number(match[1]);
+  const last = Number(match[2] ?? match[1]);
+  return first >= 1 && first <= last ? [first, last] : null;
+}
+
+// Role IDs a member earns for finishing at `rank`
+export function rewardRolesFor(rewardRoles, rank) {
+  return Object.entries(rewardRoles)
+    .filter(([placement, roleId]) => {
+      const range = parsePlacement(placement);
+      return roleId && range && rank >= range[0] && rank <= range[1];
+    })
+    .map(([, roleId]) => roleId);
+}
+
+// sorted: [[userId, count]] best first. Returns the message text and the
+// embed's fields, ready for EmbedBuilder.
+export function renderAnnouncement(template, { sorted, labels, serverName, willReset }) {
+  const top = sorted.slice(0, template.topCount);
+  const values = {
+    period: labels.title,
+    span: labels.span,
+    owner: labels.owner,
+    total: sorted.reduce((total, [, count]) => total + count, 0),
+    members: sorted.length,
+    winners: top.slice(0, 3).map(([userId], index) => `${MEDALS[index]} <@${userId}>`).join(" "),
+    reset: willReset ? "🔄 The leaderboard will now reset!" : "",
+    server: serverName,
+  };
+
+  const lines = top.map(([userId, count], index) =>
+    fill(template.line, { ...values, rank: index + 1, user: `<@${userId}>`, count, medal: MEDALS[index] || "" }).trim()
+  );
+  // The podium stands apart from the rest of the list
+  const list = lines.length > 3 ? `${lines.slice(0, 3).join("\n")}\n\n${lines.slice(3).join("\n")}` : lines.join("\n");
+  const description = [list, fill(template.summary, values).trim()].filter(Boolean).join("\n\n");
+
+  return {
+    content: fill(template.mention, values).trim(),
+    title: fill(template.title, values).slice(0, TITLE_LIMIT),
+    description: description.slice(0, DESCRIPTION_LIMIT),
+    color: parseInt(template.color.slice(1), 16),
+    imageUrl: template.imageUrl || null,
+  };
+}
@@ -0,0 +1,108 @@
+import { getGuildConfig } from "./guildConfig.js";
+
+// -------------------- Anti-Spam Counting Rules --------------------
+// Decides whether a message counts towards the leaderboards and how many
+// points it is worth. Rules come from the guild's `counting` settings:
+//   minLength        - characters needed (custom emoji and mentions count as one)
+//   cooldownSeconds  - time between two counted messages from the same member
+//   duplicateWindow  - how many of the member's recent messages a new one is
+//                      compared with; repeats are not counted
+//   ignoredChannels, ignoredRoles
+//   weighting        - { enabled, charactersPerPoint, maxPoints }: longer
+//                      messages are worth more, up to maxPoints
+
+export const REJECT_REASONS = ["ignoredChannel", "ignoredRole", "tooShort", "cooldown", "duplicate"];
+
+const lastCounted = new Map(); // "guildId-userId" -> timestamp
+const recentMessages = new Map(); // "guildId-userId" -> normalized contents, newest last
+const stats = new Map(); // guildId -> { accepted, points, rejected: { reason: n }, users: { userId: n } }
+const statsSince = new Date().toISOString();
+
+function guildStats(guildId) {
+  if (!stats.has(guildId)) {
+    stats.set(guildId, {
+      accepted: 0,
+      points: 0,
+      rejected: Object.fromEntries(REJECT_REASONS.map((reason) => [reason, 0])),
+      users: {},
+    });
+  }
+  return stats.get(guildId);
+}
+
+function messageLength(content) {
+  return content
+    .replace(/<a?:\w+:\d+>|<(?:@[!&]?|#)\d+>/g, "x")
+    .replace(/\s+/g, " ")
+    .trim().length;
+}
+
+function normalize(content) {
+  return content.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function reject(guildId, userId, reason) {
+  const entry = guildStats(guildId);
+  entry.rejected[reason]++;
+  entry.users[userId] = (entry.users[userId] || 0) + 1;
+  return { counted: false, reason, points: 0 };
+}
+
+export function checkMessage(msg) {
+  const guildId = msg.guild.id;
+  const userId = msg.author.id;
+  const key = `${guildId}-${userId}`;
+  const rules = getGuildConfig(guildId).counting;
+
+  const channelId = msg.channel.isThread() ? msg.channel.parentId : msg.channelId;
+  if (rules.ignoredChannels.includes(channelId)) return reject(guildId, userId, "ignoredChannel");
+  if (msg.member && rules.ignoredRoles.some((roleId) => msg.member.roles.cache.has(roleId))) {
+    return reject(guildId, userId, "ignoredRole");
+  }
+
+  const length = messageLength(msg.content);
+  if (length < rules.minLength) return reject(guildId, userId, "tooShort");
+
+  const now = Date.now();
+  if (rules.cooldownSeconds && now - (lastCounted.get(key) || 0) < rules.cooldownSeconds * 1000) {
+    return reject(guildId, userId, "cooldown");
+  }
+
+  const content = normalize(msg.content);
+  const recent = recentMessages.get(key) || [];
+  if (rules.duplicateWindow && content && recent.includes(content)) {
+    return reject(guildId, userId, "duplicate");
+  }
+
+  lastCounted.set(key, now);
+  if (rules.duplicateWindow) recentMessages.set(key, [...recent, content].slice(-rules.duplicateWindow));
+
+  const { weighting } = rules;
+  const points = weighting.enabled
+    ? Math.min(weighting.maxPoints, Math.max(1, Math.ceil(length / weighting.charactersPerPoint)))
+    : 1;
+
+  const entry = guildStats(guildId);
+  entry.accepted++;
+  entry.points += points;
+  return { counted: true, reason: null, points };
+}
+
+// Counted and rejected messages since the bot started, with the members
+// rejected most often
+export function getCountingStats(guildId) {
+  const { accepted, points, rejected, users } = guildStats(guildId);
+  const topRejected = Object.entries(users)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([userId, count]) => ({ userId, count }));
+
+  return {
+    since: statsSince,
+    accepted,
+    points,
+    rejected,
+    totalRejected: Object.values(rejected).reduce((a, b) => a + b, 0),
+    topRejected,
+  };
+}
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("audit");
+
+// -------------------- Dashboard Audit Trail --------------------
+// Every change made through the dashboard API, with the signed-in user who
+// made it. Entries are never edited, so like the leaderboard history they are
+// appended to a journal with one JSON record per line.
+const AUDIT_FILE = "./data/audit.jsonl";
+
+const entries = [];
+
+function loadAudit() {
+  if (!fs.existsSync(AUDIT_FILE)) return;
+
+  try {
+    const raw = fs.readFileSync(AUDIT_FILE, "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        log.warn(`⚠️ Skipping corrupt audit entry: ${line.slice(0, 80)}`);
+      }
+    }
+    log.info(`✅ Loaded ${entries.length} audit entr${entries.length === 1 ? "y" : "ies"}`);
+  } catch (err) {
+    log.error("❌ Failed to load audit trail", err);
+  }
+}
+
+loadAudit();
+
+// actor: the session user ({ id, username, provider, discordId })
+export function recordAudit({ guildId, actor, action, targetId = null, targetTag = null, caseId = null, details = {}, ip = null }) {
+  const entry = {
+    id: (entries[entries.length - 1]?.id ?? 0) + 1,
+    at: new Date().toISOString(),
+    guildId,
+    actor: { id: actor.id, username: actor.username, provider: actor.provider, discordId: actor.discordId },
+    action,
+    targetId,
+    targetTag,
+    caseId,
+    details,
+    ip,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + "\n");
+  } catch (err) {
+    log.error(`❌ Failed to write audit entry for ${action}`, err);
+  }
+  entries.push(entry);
+  return entry;
+}
+
+// Newest first. actor matches the dashboard user id, username or Discord id;
+// from/to are anything Date.parse understands (a bare date covers the day).
+export function listAudit({ guildId, actor, target, action, from, to } = {}) {
+  // A repeated query parameter (?actor=a&actor=b) arrives as an array
+  for (const [name, value] of Object.entries({ actor, target, action, from, to })) {
+    if (value != null && typeof value !== "string") throw new Error(`${name} must be given once, as text`);
+  }
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 3600 * 1000 - 1 : 0) : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw new Error("from and to must be dates, e.g. 2024-05-01");
+
+  const actorQuery = actor?.toLowerCase();
+  return entries
+    .filter((entry) => {
+      const at = Date.parse(entry.at);
+      return (
+        (guildId === undefined || entry.guildId === guildId) &&
+        (!actorQuery || [entry.actor.id, entry.actor.username, entry.actor.discordId].some((value) => value?.toLowerCase() === actorQuery)) &&
+        (!target || entry.targetId === target || entry.targetTag?.toLowerCase() === target.toLowerCase()) &&
+        (!action || entry.action === action) &&
+        (fromTime === null || at >= fromTime) &&
+        (toTime === null || at <= toTime)
+      );
+    })
+    .reverse();
+}
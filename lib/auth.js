@@ -0,0 +1,353 @@
+import crypto from "crypto";
+import fs from "fs";
+import { client } from "./client.js";
+import config from "./config.js";
+import { ROLES, getDiscordRole } from "./permissions.js";
+import { createLogger } from "./logger.js";
+import { writeFileAtomic, readJsonWithRecovery } from "./safeFile.js";
+
+const log = createLogger("auth");
+
+// -------------------- Dashboard Authentication --------------------
+// Staff sign in with Discord OAuth2 or with a local account. Either way they
+// get a session, referenced by a signed cookie. Sessions live in
+// data/sessions.json so they survive restarts, expire after
+// config.dashboard.sessionHours and can be revoked one by one. The files
+// hold password hashes and session IDs, so only the bot's user can read them.
+const ACCOUNTS_FILE = "./data/accounts.json";
+const SESSIONS_FILE = "./data/sessions.json";
+const SECRET_FILE = "./data/session-secret";
+
+export const SESSION_COOKIE = "session";
+const DISCORD_API = "https://discord.com/api/v10";
+
+let accounts = {}; // username -> { username, passwordHash, role, createdAt, createdBy }
+let sessions = {}; // sessionId -> { id, user, createdAt, expiresAt, lastSeenAt, userAgent }
+
+const PRIVATE = { mode: 0o600 };
+
+// An unreadable file is moved aside rather than overwritten (see lib/safeFile.js)
+function readJson(file, fallback) {
+  try {
+    return readJsonWithRecovery(file) ?? fallback;
+  } catch (err) {
+    log.error(`❌ Failed to load ${file}`, err);
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  try {
+    writeFileAtomic(file, JSON.stringify(data, null, 2), PRIVATE);
+  } catch (err) {
+    log.error(`❌ Failed to save ${file}`, err);
+  }
+}
+
+accounts = readJson(ACCOUNTS_FILE, {});
+sessions = readJson(SESSIONS_FILE, {});
+
+// Cookies are signed with SESSION_SECRET, or a random secret generated on
+// first start and kept next to the sessions it protects
+function loadSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  try {
+    // An empty file, from a write cut short before writes were atomic, gets a new secret
+    const stored = fs.existsSync(SECRET_FILE) ? fs.readFileSync(SECRET_FILE, "utf8").trim() : "";
+    if (stored) return stored;
+    const secret = crypto.randomBytes(32).toString("hex");
+    writeFileAtomic(SECRET_FILE, secret, PRIVATE);
+    return secret;
+  } catch (err) {
+    log.error("❌ Failed to persist the session secret, sessions will end on restart.", err);
+    return crypto.randomBytes(32).toString("hex");
+  }
+}
+
+const secret = loadSecret();
+
+export function sign(value) {
+  const signature = crypto.createHmac("sha256", secret).update(value).digest("base64url");
+  return `${value}.${signature}`;
+}
+
+// The original value, or null when the signature doesn't match
+export function unsign(signed) {
+  const index = signed?.lastIndexOf(".") ?? -1;
+  if (index <= 0) return null;
+  const value = signed.slice(0, index);
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signed);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
+// -------------------- Local Accounts --------------------
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, 64);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Accounts created before roles existed had full access, so they stay admins
+function accountRole(account) {
+  return account.role || "admin";
+}
+
+function publicAccount(account) {
+  const { username, createdAt, createdBy } = account;
+  return { username, role: accountRole(account), createdAt, createdBy };
+}
+
+// Own keys only, so names like "constructor" don't find Object.prototype members
+function findAccount(username) {
+  const key = String(username ?? "").toLowerCase();
+  return Object.hasOwn(accounts, key) ? accounts[key] : null;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+}
+
+export function listAccounts() {
+  return Object.values(accounts).map(publicAccount);
+}
+
+export function createAccount(username, password, { role = "viewer", createdBy = null } = {}) {
+  if (!/^[a-zA-Z0-9_.-]{3,32}$/.test(username || "")) {
+    throw new Error("Username must be 3-32 letters, numbers, dots, dashes or underscores");
+  }
+  if (typeof password !== "string" || password.length < 8) {
+    throw new Error("Password must be at least 8 characters");
+  }
+  validateRole(role);
+  const key = username.toLowerCase();
+  if (key in Object.prototype) throw new Error(`${username} can't be used as a username`);
+  if (findAccount(key)) throw new Error(`Account ${username} already exists`);
+
+  accounts[key] = { username, passwordHash: hashPassword(password), role, createdAt: new Date().toISOString(), createdBy };
+  writeJson(ACCOUNTS_FILE, accounts);
+  return publicAccount(accounts[key]);
+}
+
+// Only local admins can manage accounts, so there must always be one left
+function ensureOtherAdmin(account) {
+  const admins = Object.values(accounts).filter((a) => accountRole(a) === "admin");
+  if (admins.length === 1 && admins[0] === account) {
+    throw new Error(`${account.username} is the last admin account`);
+  }
+}
+
+export function setAccountRole(username, role) {
+  validateRole(role);
+  const account = findAccount(username);
+  if (!account) return null;
+  if (role !== "admin") ensureOtherAdmin(account);
+  account.role = role;
+  writeJson(ACCOUNTS_FILE, accounts);
+  return publicAccount(account);
+}
+
+export function deleteAccount(username) {
+  const key = username.toLowerCase();
+  const account = findAccount(key);
+  if (!account) return false;
+  ensureOtherAdmin(account);
+  delete accounts[key];
+  writeJson(ACCOUNTS_FILE, accounts);
+  revokeUserSessions(`local:${key}`);
+  return true;
+}
+
+// The session user for a correct username and password, otherwise null
+export function verifyLocalLogin(username, password) {
+  const account = findAccount(username);
+  if (!account || typeof password !== "string" || !checkPassword(password, account.passwordHash)) return null;
+  return {
+    id: `local:${account.username.toLowerCase()}`,
+    provider: "local",
+    discordId: null,
+    username: account.username,
+    avatar: null,
+  };
+}
+
+// Deployments that used the old shared DASHBOARD_PASSWORD get an "admin"
+// account with that password, so they can still sign in after upgrading
+export function adoptLegacyPassword() {
+  if (Object.keys(accounts).length > 0) return;
+
+  if (process.env.DASHBOARD_PASSWORD) {
+    accounts.admin = {
+      username: "admin",
+      passwordHash: hashPassword(process.env.DASHBOARD_PASSWORD),
+      role: "admin",
+      createdAt: new Date().toISOString(),
+      createdBy: "DASHBOARD_PASSWORD",
+    };
+    writeJson(ACCOUNTS_FILE, accounts);
+    log.info("✅ Created dashboard account \"admin\" from DASHBOARD_PASSWORD");
+  } else if (!isDiscordLoginEnabled()) {
+    log.error("❌ No way to sign in to the dashboard: set DASHBOARD_PASSWORD or DISCORD_CLIENT_ID and DISCORD_CLIENT_SECRET");
+  }
+}
+
+// -------------------- Sessions --------------------
+function saveSessions() {
+  writeJson(SESSIONS_FILE, sessions);
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  let pruned = false;
+  for (const [id, session] of Object.entries(sessions)) {
+    if (Date.parse(session.expiresAt) <= now) {
+      delete sessions[id];
+      pruned = true;
+    }
+  }
+  if (pruned) saveSessions();
+}
+
+pruneSessions();
+
+export function createSession(user, { userAgent = null } = {}) {
+  pruneSessions();
+  const now = new Date();
+  const session = {
+    id: crypto.randomBytes(24).toString("base64url"),
+    user,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.dashboard.sessionHours * 3600 * 1000).toISOString(),
+    lastSeenAt: now.toISOString(),
+    userAgent,
+  };
+  sessions[session.id] = session;
+  saveSessions();
+  return session;
+}
+
+// The live session for a signed cookie value, or null
+export function getSession(cookieValue) {
+  const id = unsign(cookieValue);
+  const session = id ? sessions[id] : null;
+  if (!session) return null;
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    revokeSession(id);
+    return null;
+  }
+  session.lastSeenAt = new Date().toISOString(); // kept in memory, written with the next change
+  return session;
+}
+
+export function listUserSessions(userId) {
+  return Object.values(sessions).filter((session) => session.user.id === userId);
+}
+
+export function revokeSession(id) {
+  if (!sessions[id]) return false;
+  delete sessions[id];
+  saveSessions();
+  return true;
+}
+
+export function revokeUserSessions(userId) {
+  const ids = listUserSessions(userId).map((session) => session.id);
+  ids.forEach((id) => delete sessions[id]);
+  if (ids.length) saveSessions();
+  return ids.length;
+}
+
+// -------------------- Discord OAuth2 --------------------
+// Needs DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET and DASHBOARD_URL (the public
+// address of this server); the redirect URI registered in the Discord
+// developer portal must be DASHBOARD_URL/auth/discord/callback.
+export function isDiscordLoginEnabled() {
+  return Boolean(process.env.DISCORD_CLIENT_ID && process.env.DISCORD_CLIENT_SECRET);
+}
+
+function redirectUri() {
+  const base = (process.env.DASHBOARD_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, "");
+  return `${base}/auth/discord/callback`;
+}
+
+export function getDiscordAuthorizeUrl(state) {
+  const params = new URLSearchParams({
+    client_id: process.env.DISCORD_CLIENT_ID,
+    redirect_uri: redirectUri(),
+    response_type: "code",
+    scope: "identify",
+    state,
+    prompt: "none",
+  });
+  return `https://discord.com/oauth2/authorize?${params}`;
+}
+
+// Servers (shared with the bot) where the user has a dashboard role
+async function findStaffGuilds(discordId) {
+  const guildIds = [];
+  for (const guild of client.guilds.cache.values()) {
+    const member = await guild.members.fetch(discordId).catch(() => null);
+    if (member && getDiscordRole(member)) guildIds.push(guild.id);
+  }
+  return guildIds;
+}
+
+// Exchange the callback code for the Discord user. Throws when the code is
+// invalid or the user isn't staff in any server the bot is in.
+export async function completeDiscordLogin(code) {
+  const tokenRes = await fetch(`${DISCORD_API}/oauth2/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: process.env.DISCORD_CLIENT_ID,
+      client_secret: process.env.DISCORD_CLIENT_SECRET,
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri(),
+    }),
+  });
+  if (!tokenRes.ok) throw new Error(`Discord rejected the login (${tokenRes.status})`);
+  const { access_token: accessToken, token_type: tokenType } = await tokenRes.json();
+
+  const userRes = await fetch(`${DISCORD_API}/users/@me`, {
+    headers: { Authorization: `${tokenType} ${accessToken}` },
+  });
+  if (!userRes.ok) throw new Error(`Could not load your Discord profile (${userRes.status})`);
+  const profile = await userRes.json();
+
+  const guildIds = await findStaffGuilds(profile.id);
+  if (guildIds.length === 0) {
+    throw new Error("Your Discord account isn't staff in any server this bot is in");
+  }
+
+  return {
+    id: `discord:${profile.id}`,
+    provider: "discord",
+    discordId: profile.id,
+    username: profile.global_name || profile.username,
+    avatar: profile.avatar ? `https://cdn.discordapp.com/avatars/${profile.id}/${profile.avatar}.png?size=64` : null,
+    guildIds,
+  };
+}
+
+// -------------------- Roles --------------------
+// The session user's role in a server. Local accounts have the same role
+// everywhere, read from the account so role changes apply to open sessions.
+// Discord users only have a role inside a server (guild null: none).
+export async function getDashboardRole(user, guild) {
+  if (user.provider === "local") {
+    const account = findAccount(user.username);
+    return account ? accountRole(account) : null;
+  }
+  if (!guild) return null;
+
+  const member = await guild.members.fetch(user.discordId).catch(() => null);
+  return member ? getDiscordRole(member) : null;
+}
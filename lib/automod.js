@@ -0,0 +1,157 @@
+import { EmbedBuilder } from "discord.js";
+import { logAction } from "./client.js";
+import { getGuildConfig, updateGuildConfig } from "./guildConfig.js";
+import { findActiveCase } from "./cases.js";
+import { parseDuration } from "./durations.js";
+import { MAX_TIMEOUT, warnMember, timeoutMember, muteMember } from "./moderation.js";
+import { RULES, matchRule } from "./automodRules.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("automod");
+
+// -------------------- Automod --------------------
+// Every member message is checked against the server's automod rules (see
+// lib/automodRules.js) before it is counted. Members who can manage messages
+// are never checked. Hits are posted to the logs channel and counted per rule
+// since the bot started.
+const AUTOMOD_MODERATOR = "Automod";
+const NOTICE_SECONDS = 5;
+const HISTORY_SIZE = 20;
+const HISTORY_MAX_AGE = 60 * 60 * 1000; // windowSeconds can't be longer
+
+const history = new Map(); // "guildId-userId" -> [{ content, at }], newest last
+const hits = new Map(); // guildId -> { rule: count }
+const checks = new WeakMap(); // message -> pending checkAutomod result
+const removedIds = new Set(); // messages automod deleted, until their delete event
+const hitsSince = new Date().toISOString();
+
+setInterval(() => {
+  const oldest = Date.now() - HISTORY_MAX_AGE;
+  for (const [key, messages] of history) {
+    if (messages[messages.length - 1].at < oldest) history.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+export function getAutomodHits(guildId) {
+  return { since: hitsSince, hits: { ...hits.get(guildId) } };
+}
+
+// Updates rules one option at a time; other options keep their values. A
+// null option goes back to its default, a null rule resets the whole rule.
+export function updateAutomodRules(guildId, changes) {
+  return updateGuildConfig(guildId, { automod: changes }).automod;
+}
+
+function isExempt(msg, rule) {
+  const channelIds = [msg.channelId, msg.channel.isThread() ? msg.channel.parentId : null];
+  if (channelIds.some((id) => id && rule.exemptChannels.includes(id))) return true;
+  return rule.exemptRoles.some((roleId) => msg.member.roles.cache.has(roleId));
+}
+
+// Same text from the same member, including this message, within the window
+function countRepeats(msg, rule) {
+  const key = `${msg.guild.id}-${msg.author.id}`;
+  const content = msg.content.toLowerCase().replace(/\s+/g, " ").trim();
+  const now = msg.createdTimestamp;
+  const recent = (history.get(key) || []).filter((entry) => now - entry.at <= HISTORY_MAX_AGE);
+  recent.push({ content, at: now });
+  history.set(key, recent.slice(-HISTORY_SIZE));
+
+  const repeats = recent.filter((entry) => entry.content === content && now - entry.at <= rule.windowSeconds * 1000).length;
+  return content && repeats >= rule.maxRepeats ? `${repeats} times in ${rule.windowSeconds}s` : null;
+}
+
+// The first rule the message breaks, as { name, rule, matched }, or null
+function findViolation(msg) {
+  const automod = getGuildConfig(msg.guild.id).automod;
+  for (const name of Object.keys(RULES)) {
+    const rule = automod[name];
+    if (!rule.enabled || isExempt(msg, rule)) continue;
+    const matched = name === "repeats" ? countRepeats(msg, rule) : msg.content && matchRule(name, rule, msg.content);
+    if (matched) return { name, rule, matched: String(matched).slice(0, 100) };
+  }
+  return null;
+}
+
+// The case for a warn, timeout or mute, or null when there is none (a plain
+// delete, or the member was already timed out or muted)
+async function punish(msg, action, reason, durationMs) {
+  const { guild, member } = msg;
+  const options = { moderatorTag: AUTOMOD_MODERATOR, reason, source: "automod" };
+
+  if (action === "warn") {
+    const { record } = await warnMember(guild, member, options);
+    return record;
+  }
+  if (action === "timeout" && !member.isCommunicationDisabled()) {
+    return timeoutMember(guild, member, { ...options, durationMs: Math.min(durationMs, MAX_TIMEOUT) });
+  }
+  if (action === "mute" && !findActiveCase(guild.id, member.id, "mute")) {
+    const { record } = await muteMember(guild, member, { ...options, durationMs });
+    return record;
+  }
+  return null;
+}
+
+// Automod's own deletes are in its log embed already, so the message log
+// (lib/messageLog.js) skips them
+export function wasRemovedByAutomod(messageId) {
+  return removedIds.delete(messageId);
+}
+
+// true when the message broke a rule and was removed. Every messageCreate
+// listener asks, but each message is only checked once.
+export function checkAutomod(msg) {
+  if (!checks.has(msg)) checks.set(msg, runChecks(msg));
+  return checks.get(msg);
+}
+
+async function runChecks(msg) {
+  if (!msg.member || msg.member.permissions.has("ManageMessages")) return false;
+
+  const violation = findViolation(msg);
+  if (!violation) return false;
+
+  const { name, rule, matched } = violation;
+  const { label } = RULES[name];
+  const reason = `Automod: ${label} (${matched})`;
+  const counts = hits.get(msg.guild.id) || {};
+  counts[name] = (counts[name] || 0) + 1;
+  hits.set(msg.guild.id, counts);
+
+  removedIds.add(msg.id);
+  setTimeout(() => removedIds.delete(msg.id), 60 * 1000).unref();
+  await msg.delete().catch((err) => {
+    removedIds.delete(msg.id);
+    log.warn(`⚠️ Couldn't delete a message from ${msg.author.tag}`, { error: err.message });
+  });
+
+  let record = null;
+  try {
+    record = await punish(msg, rule.action, reason, parseDuration(rule.duration));
+  } catch (err) {
+    log.error(`❌ Automod couldn't ${rule.action} ${msg.author.tag}`, err);
+  }
+
+  const actionText = ["timeout", "mute"].includes(rule.action) ? `${rule.action} (${rule.duration})` : rule.action;
+  const embed = new EmbedBuilder()
+    .setTitle(`🤖 Automod: ${label}`)
+    .setColor("DarkOrange")
+    .addFields(
+      { name: "User", value: `${msg.author.tag} (${msg.author.id})`, inline: true },
+      { name: "Channel", value: `<#${msg.channelId}>`, inline: true },
+      { name: "Action", value: record ? `${actionText}, case #${record.id}` : actionText, inline: true },
+      { name: "Matched", value: matched, inline: false },
+      { name: "Message", value: msg.content ? msg.content.slice(0, 1024) : "*No text*", inline: false }
+    )
+    .setTimestamp();
+  await logAction(msg.guild.id, embed);
+
+  msg.channel
+    .send({ content: `🤖 ${msg.author}, your message was removed: ${label.toLowerCase()}.`, allowedMentions: { users: [msg.author.id] } })
+    .then((notice) => setTimeout(() => notice.delete().catch(() => {}), NOTICE_SECONDS * 1000))
+    .catch(() => {});
+
+  log.info(`🤖 ${label} from ${msg.author.tag} in ${msg.guild.name}: ${rule.action}`);
+  return true;
+}
@@ -0,0 +1,136 @@
+// -------------------- Automod Rules --------------------
+// The `automod` setting (see config.guildDefaults) holds one entry per rule,
+// each with:
+//   enabled
+//   action          - delete, warn, timeout or mute; every action deletes the
+//                     message first
+//   duration        - how long a timeout or mute lasts, e.g. "10m" or "1h"
+//   exemptRoles, exemptChannels
+// plus the options listed for the rule in RULES. Rules are checked in the
+// order below, and only the first one a message breaks acts on it.
+export const ACTIONS = ["delete", "warn", "timeout", "mute"];
+
+// Options are either [min, max] for whole numbers or the kind of list they hold
+export const RULES = {
+  words: { label: "Banned Words", options: { words: "words", patterns: "patterns" } },
+  invites: { label: "Invite Links", options: { allowedInvites: "invites" } },
+  links: { label: "External Links", options: { allowedDomains: "domains" } },
+  mentions: { label: "Mass Mentions", options: { maxMentions: [1, 50] } },
+  caps: { label: "Excessive Caps", options: { minLength: [1, 2000], maxPercent: [1, 100] } },
+  repeats: { label: "Repeated Messages", options: { maxRepeats: [2, 20], windowSeconds: [5, 3600] } },
+};
+
+export const MAX_LIST_ENTRIES = 500;
+const MAX_PATTERN_LENGTH = 200;
+
+const REPEAT = /^(?:[*+]|\{\d+(?:,\d*)?\})/;
+
+// A repeated group that itself holds a repeat, like (a+)+ or (\w*\s?)*, can
+// take exponential time on a crafted message and stall the bot, so such
+// patterns are refused
+function hasNestedRepeat(pattern) {
+  const groups = [false]; // per open group, whether it holds a repeat
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      if (char === "]") inClass = false;
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      const repeats = groups.length > 1 && groups.pop();
+      if (repeats && REPEAT.test(pattern.slice(i + 1))) return true;
+      groups[groups.length - 1] ||= repeats;
+    } else if (REPEAT.test(pattern.slice(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Whether one list entry is valid, by kind
+export const LIST_ENTRY_CHECKS = {
+  words: (word) => typeof word === "string" && word.trim().length >= 1 && word.length <= 100,
+  patterns: (pattern) => {
+    if (typeof pattern !== "string" || !pattern || pattern.length > MAX_PATTERN_LENGTH || hasNestedRepeat(pattern)) return false;
+    try {
+      new RegExp(pattern, "iu");
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  domains: (domain) => typeof domain === "string" && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain),
+  invites: (code) => typeof code === "string" && /^[\w-]{2,32}$/.test(code),
+};
+
+const INVITE = /(?:https?:\/\/)?(?:www\.)?(?:discord(?:app)?\.com\/invite|discord\.gg)\/([\w-]+)/gi;
+const LINK = /https?:\/\/([^\s/?#<>]+)/gi;
+const MENTION = /<@[!&]?(\d+)>|@everyone|@here/g;
+const ESCAPE = /[.*+?^${}()|[\]\\]/g;
+
+// Compiled word and pattern lists, kept while the server's list stays the same
+const compiled = new WeakMap();
+
+function compile(list, toRegExps) {
+  if (!compiled.has(list)) compiled.set(list, toRegExps(list));
+  return compiled.get(list);
+}
+
+// Words only match whole, so "ass" doesn't catch "class". Patterns are
+// compiled one by one so their own groups and backreferences keep working.
+const wordRegExps = (words) =>
+  words.length
+    ? [new RegExp(words.map((word) => `(?<![\\p{L}\\p{N}])${word.trim().replace(ESCAPE, "\\$&")}(?![\\p{L}\\p{N}])`).join("|"), "iu")]
+    : [];
+const patternRegExps = (patterns) => patterns.map((pattern) => new RegExp(pattern, "iu"));
+
+function firstMatch(regExps, content) {
+  for (const regExp of regExps) {
+    const match = regExp.exec(content);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+// What broke the rule, for the log, or null. `repeats` needs the member's
+// earlier messages and is checked in lib/automod.js instead.
+export function matchRule(name, rule, content) {
+  if (name === "words") {
+    return (
+      firstMatch(compile(rule.words, wordRegExps), content) ??
+      firstMatch(compile(rule.patterns, patternRegExps), content)
+    );
+  }
+
+  if (name === "invites") {
+    const invite = [...content.matchAll(INVITE)].find(([, code]) => !rule.allowedInvites.includes(code));
+    return invite ? invite[0] : null;
+  }
+
+  if (name === "links") {
+    const allowed = (host) => rule.allowedDomains.some((domain) => host === domain.toLowerCase() || host.endsWith(`.${domain.toLowerCase()}`));
+    const link = [...content.matchAll(LINK)].find(([, host]) => !allowed(host.replace(/^.*@/, "").replace(/:\d+$/, "").toLowerCase()));
+    return link ? link[0] : null;
+  }
+
+  if (name === "mentions") {
+    const mentioned = new Set([...content.matchAll(MENTION)].map(([match, id]) => id || match));
+    return mentioned.size > rule.maxMentions ? `${mentioned.size} mentions` : null;
+  }
+
+  if (name === "caps") {
+    // Mentions, emoji and links don't count as text
+    const text = content.replace(/<a?:\w+:\d+>|<(?:@[!&]?|#)\d+>|https?:\/\/\S+/g, "");
+    const letters = text.match(/[\p{Lu}\p{Ll}]/gu) || [];
+    if (letters.length < rule.minLength) return null;
+    const percent = Math.round(((text.match(/\p{Lu}/gu) || []).length / letters.length) * 100);
+    return percent > rule.maxPercent ? `${percent}% capitals` : null;
+  }
+
+  return null;
+}
@@ -0,0 +1,121 @@
+import { createLogger } from "./logger.js";
+import { publishEvent } from "./events.js";
+import { getAll, setValue } from "./storage.js";
+
+const log = createLogger("moderation");
+
+// -------------------- Moderation Case Store --------------------
+// Cases live in the "cases" storage namespace (see lib/storage.js), keyed by
+// case id. With the JSON adapter that is an append-only journal, so a crash
+// mid-write can only damage the final line, which is skipped on the next load.
+
+// Actions that leave the target in a state that can later be reversed. A warning
+// stays active (and counts towards escalation) until it is deleted.
+const STATEFUL_ACTIONS = ["mute", "ban", "timeout", "warn"];
+
+const cases = new Map();
+let nextCaseId = 1;
+
+function saveCase(record) {
+  setValue("cases", record.id, record);
+}
+
+function loadCases() {
+  const records = Object.values(getAll("cases")).sort((a, b) => a.id - b.id);
+  for (const record of records) {
+    cases.set(record.id, record);
+    nextCaseId = Math.max(nextCaseId, record.id + 1);
+  }
+  log.info(`✅ Loaded ${cases.size} moderation case(s)`);
+}
+
+loadCases();
+
+export function createCase({
+  action,
+  guildId,
+  targetId = null,
+  targetTag = null,
+  moderatorId = null,
+  moderatorTag = "Unknown",
+  reason = "No reason provided",
+  roles = null,
+  details = {},
+  source = "discord",
+  expiresAt = null,
+}) {
+  const now = new Date().toISOString();
+  const record = {
+    id: nextCaseId++,
+    action,
+    guildId,
+    targetId,
+    targetTag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    roles,
+    details,
+    source,
+    expiresAt,
+    active: STATEFUL_ACTIONS.includes(action),
+    createdAt: now,
+    updatedAt: now,
+  };
+  cases.set(record.id, record);
+  saveCase(record);
+  publishEvent("moderation", guildId, { case: record });
+  return record;
+}
+
+export function updateCase(id, changes) {
+  const record = cases.get(id);
+  if (!record) return null;
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  saveCase(record);
+  return record;
+}
+
+// Mark a stateful case (mute, ban, timeout, warn) as reversed
+export function resolveCase(id, { resolvedBy = "Unknown", resolvedCaseId = null } = {}) {
+  const record = updateCase(id, {
+    active: false,
+    resolvedAt: new Date().toISOString(),
+    resolvedBy,
+    resolvedCaseId,
+  });
+  if (record) publishEvent("moderation", record.guildId, { case: record, resolved: true });
+  return record;
+}
+
+export function getCase(id) {
+  return cases.get(Number(id)) || null;
+}
+
+export function findActiveCase(guildId, targetId, action) {
+  for (const record of cases.values()) {
+    if (record.active && record.action === action && record.guildId === guildId && record.targetId === targetId) {
+      return record;
+    }
+  }
+  return null;
+}
+
+export function listCases({ guildId, targetId, action, active } = {}) {
+  return [...cases.values()].filter(
+    (c) =>
+      (guildId === undefined || c.guildId === guildId) &&
+      (targetId === undefined || c.targetId === targetId) &&
+      (action === undefined || c.action === action) &&
+      (active === undefined || c.active === active)
+  );
+}
+
+// Active cases whose expiry time has passed and still need to be lifted
+export function listExpiredCases(now = Date.now()) {
+  return listCases({ active: true }).filter((c) => c.expiresAt && Date.parse(c.expiresAt) <= now);
+}
+
+export function countActiveCases(action, guildId) {
+  return listCases({ guildId, action, active: true }).length;
+}
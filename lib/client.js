@@ -0,0 +1,35 @@
+import { Client, GatewayIntentBits, Partials } from "discord.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("discord");
+
+// -------------------- Discord Client --------------------
+export const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildPresences,
+    GatewayIntentBits.GuildMessageReactions,
+  ],
+  // Votes on suggestions posted before a restart arrive for uncached messages
+  partials: [Partials.Message, Partials.Reaction],
+});
+
+// Post an embed to the server's logs channel, if it has one configured.
+// files are attached to the same message (e.g. a transcript).
+export async function logAction(guildId, embed, { files = [] } = {}) {
+  try {
+    const { logsChannelId } = getGuildConfig(guildId);
+    if (logsChannelId) {
+      const logsChannel = await client.channels.fetch(logsChannelId);
+      if (logsChannel) {
+        await logsChannel.send({ embeds: [embed], files });
+      }
+    }
+  } catch (err) {
+    log.error("❌ Failed to send log", err);
+  }
+}
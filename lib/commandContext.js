@@ -0,0 +1,220 @@
+import { ApplicationCommandOptionType, MessageFlags, PermissionFlagsBits } from "discord.js";
+import { parseDuration, formatDuration, MAX_DURATION } from "./durations.js";
+import { PERIODS } from "./leaderboard.js";
+import { listSuggestions } from "./suggestions.js";
+
+// -------------------- Command Contexts --------------------
+// Commands are written once against a small context object. These adapters
+// build that context from either a prefix message or a slash command
+// interaction, so permission checks and command bodies are shared.
+//
+// Option types:
+//   user     - a guild member (mention or ID for prefix commands)
+//   duration - prefix: "30m", "12h", "2d"...; slash: integer minutes with autocomplete
+//   integer  - a whole number
+//   string   - a single word, or the rest of the message when `rest` is set
+
+const SLASH_OPTION_TYPES = {
+  user: ApplicationCommandOptionType.User,
+  duration: ApplicationCommandOptionType.Integer,
+  integer: ApplicationCommandOptionType.Integer,
+  string: ApplicationCommandOptionType.String,
+};
+
+const MINUTE = 60 * 1000;
+
+// Options shared by most moderation commands
+export const userOption = (description) => ({ name: "user", type: "user", description, required: true });
+export const reasonOption = { name: "reason", type: "string", rest: true, description: "Reason for the action", maxLength: 512 };
+export const periodOption = {
+  name: "period",
+  type: "string",
+  description: `Leaderboard period (${PERIODS.join(", ")})`,
+  async autocomplete(guild, input) {
+    return PERIODS.filter((period) => period.startsWith(input.toLowerCase())).map((period) => ({ name: period, value: period }));
+  },
+};
+
+// Options shared by the suggestion decision commands
+export const suggestionOption = {
+  name: "id",
+  type: "integer",
+  required: true,
+  min: 1,
+  description: "Suggestion number",
+  async autocomplete(guild, input) {
+    return listSuggestions({ guildId: guild.id })
+      .filter((s) => s.status !== "approved" && s.status !== "denied" && String(s.id).startsWith(input))
+      .slice(0, 25)
+      .map((s) => ({ name: `#${s.id} ${s.authorTag}: ${s.content}`.slice(0, 100), value: s.id }));
+  },
+};
+export const noteOption = { name: "note", type: "string", rest: true, description: "Note for the author", maxLength: 512 };
+
+// -------------------- Slash Command Registration Data --------------------
+export function toSlashCommandData(command) {
+  return {
+    name: command.name,
+    description: command.description,
+    default_member_permissions: command.permission
+      ? PermissionFlagsBits[command.permission].toString()
+      : undefined,
+    dm_permission: false,
+    options: (command.options || []).map((option) => {
+      const data = {
+        name: option.name,
+        description: option.description,
+        type: SLASH_OPTION_TYPES[option.type],
+        required: Boolean(option.required),
+        autocomplete: option.type === "duration" || Boolean(option.autocomplete),
+      };
+      if (option.min !== undefined) data.min_value = option.min;
+      if (option.max !== undefined) data.max_value = option.max;
+      if (option.maxLength !== undefined) data.max_length = option.maxLength;
+      return data;
+    }),
+  };
+}
+
+// Autocomplete for duration options: "2" suggests 2 minutes/hours/days/weeks
+const DURATION_PRESETS = [10, 60, 24 * 60, 7 * 24 * 60];
+const DURATION_UNITS = [
+  ["minute", 1],
+  ["hour", 60],
+  ["day", 24 * 60],
+  ["week", 7 * 24 * 60],
+];
+
+export function suggestDurations(input, maxMinutes = Infinity) {
+  const amount = parseInt(input, 10);
+  const minutes = amount > 0
+    ? DURATION_UNITS.map(([, size]) => amount * size)
+    : DURATION_PRESETS;
+
+  return minutes
+    .filter((value) => value <= maxMinutes)
+    .map((value) => ({ name: formatDuration(value * MINUTE), value }));
+}
+
+// -------------------- Prefix Messages --------------------
+async function resolveMember(guild, token) {
+  const id = token?.match(/^<@!?(\d+)>$/)?.[1] || token?.match(/^\d{17,20}$/)?.[0];
+  if (!id) return null;
+  return guild.members.fetch(id).catch(() => null);
+}
+
+// A token starting with a digit is meant as a duration, even when it doesn't
+// parse ("7days") or is too long ("400d")
+const DURATION_LIKE = /^\d[\da-z]*$/i;
+
+// Options are read positionally. Optional durations and integers are only
+// consumed when the token parses, so "!mute @user spamming" still works.
+// Returns { options, error }: a token that looks like a duration but isn't a
+// valid one is an error rather than part of the reason, so a typo can't turn
+// a timed ban or mute into a permanent one.
+async function parsePrefixOptions(msg, args, optionDefs) {
+  const options = {};
+  let index = 0;
+
+  for (const option of optionDefs) {
+    const token = args[index];
+
+    if (option.type === "user") {
+      options[option.name] = await resolveMember(msg.guild, token);
+      if (options[option.name]) index++;
+    } else if (option.type === "duration") {
+      const ms = parseDuration(token, option.defaultUnit || null);
+      if (!ms && DURATION_LIKE.test(token ?? "")) {
+        return { options, error: `❌ \`${token}\` isn't a valid duration. Use e.g. 30m, 12h, 7d or 2w, up to ${MAX_DURATION / (24 * 60 * MINUTE)}d.` };
+      }
+      options[option.name] = ms;
+      if (ms) index++;
+    } else if (option.type === "integer") {
+      const value = parseInt(token, 10);
+      options[option.name] = isNaN(value) ? null : value;
+      if (!isNaN(value)) index++;
+    } else if (option.rest) {
+      options[option.name] = args.slice(index).join(" ") || null;
+      index = args.length;
+    } else {
+      options[option.name] = token ?? null;
+      if (token !== undefined) index++;
+    }
+  }
+  return { options, error: null };
+}
+
+function stripEphemeral(payload) {
+  if (typeof payload === "string") return payload;
+  const { ephemeral, ...rest } = payload;
+  return rest;
+}
+
+export async function createMessageContext(msg, args, command) {
+  const { options, error } = await parsePrefixOptions(msg, args, command.options || []);
+  return {
+    isSlash: false,
+    guild: msg.guild,
+    channel: msg.channel,
+    member: msg.member,
+    user: msg.author,
+    message: msg,
+    options,
+    optionError: error,
+    reply: (payload) => msg.reply(stripEphemeral(payload)),
+    error: async (content, { deleteAfter } = {}) => {
+      const reply = await msg.reply(content);
+      if (deleteAfter) setTimeout(() => reply.delete().catch(() => {}), deleteAfter);
+      return reply;
+    },
+    defer: async () => {},
+    acknowledge: () => msg.react("✅").catch(() => {}),
+  };
+}
+
+// -------------------- Slash Interactions --------------------
+function readSlashOptions(interaction, optionDefs) {
+  const options = {};
+  for (const option of optionDefs) {
+    if (option.type === "user") {
+      options[option.name] = interaction.options.getMember(option.name);
+    } else if (option.type === "duration") {
+      const minutes = interaction.options.getInteger(option.name);
+      options[option.name] = minutes ? minutes * MINUTE : null;
+    } else if (option.type === "integer") {
+      options[option.name] = interaction.options.getInteger(option.name);
+    } else {
+      options[option.name] = interaction.options.getString(option.name);
+    }
+  }
+  return options;
+}
+
+export function createInteractionContext(interaction, command) {
+  const send = (payload) => {
+    const { ephemeral, ...options } = typeof payload === "string" ? { content: payload } : payload;
+    if (interaction.deferred && !interaction.replied) return interaction.editReply(options);
+    if (ephemeral) options.flags = MessageFlags.Ephemeral;
+    if (interaction.replied) return interaction.followUp(options);
+    return interaction.reply(options);
+  };
+
+  return {
+    isSlash: true,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    member: interaction.member,
+    user: interaction.user,
+    message: null,
+    options: readSlashOptions(interaction, command.options || []),
+    optionError: null, // Discord checks slash options itself
+    reply: send,
+    // Errors are only shown to the user who ran the command
+    error: (content) => send({ content, ephemeral: true }),
+    defer: ({ ephemeral = false } = {}) => {
+      if (interaction.deferred || interaction.replied) return Promise.resolve();
+      return interaction.deferReply(ephemeral ? { flags: MessageFlags.Ephemeral } : {});
+    },
+    acknowledge: (content = "✅ Done!") => send({ content, ephemeral: true }),
+  };
+}
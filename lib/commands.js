@@ -0,0 +1,175 @@
+import fs from "fs";
+import { toSlashCommandData } from "./commandContext.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { createLogger } from "./logger.js";
+import { getAll, getValue, setValue, deleteValue } from "./storage.js";
+
+const log = createLogger("commands");
+
+// -------------------- Command Registry --------------------
+// Every file in commands/ default-exports one command object:
+//   name, aliases, description, category, usage  - shown by !help
+//   permission, hierarchy                        - checked before execute()
+//   cooldown                                     - seconds, defaults to 3; servers
+//                                                  can override it per command
+//   options                                      - see lib/commandContext.js
+//   execute(ctx, options)
+const COMMANDS_DIR = new URL("../commands/", import.meta.url);
+export const DEFAULT_COOLDOWN = 3; // seconds
+
+export const CATEGORIES = {
+  general: "ℹ️ General",
+  admin: "📊 Admin",
+  moderation: "🛡️ Moderation",
+};
+
+const commands = new Map();
+const aliases = new Map();
+
+// Last use per "guildId-userId-command" is kept in the "cooldowns" storage
+// namespace, so a restart doesn't lift them. Anything older than a day can't
+// still be cooling down.
+const STALE_COOLDOWN = 24 * 3600 * 1000;
+for (const [key, usedAt] of Object.entries(getAll("cooldowns"))) {
+  if (Date.now() - usedAt > STALE_COOLDOWN) deleteValue("cooldowns", key);
+}
+
+export async function loadCommands() {
+  const files = fs.readdirSync(COMMANDS_DIR).filter((file) => file.endsWith(".js"));
+
+  for (const file of files) {
+    try {
+      const { default: command } = await import(new URL(file, COMMANDS_DIR));
+      if (!command?.name || typeof command.execute !== "function") {
+        log.error(`❌ Skipping commands/${file}: missing name or execute()`);
+        continue;
+      }
+      for (const name of [command.name, ...(command.aliases || [])]) {
+        if (commands.has(name) || aliases.has(name)) {
+          throw new Error(`"${name}" is already registered`);
+        }
+      }
+
+      commands.set(command.name, command);
+      for (const alias of command.aliases || []) aliases.set(alias, command.name);
+    } catch (err) {
+      log.error(`❌ Failed to load commands/${file}`, err);
+    }
+  }
+
+  log.info(`✅ Loaded ${commands.size} commands`);
+}
+
+export function getCommand(name) {
+  return commands.get(name) || commands.get(aliases.get(name)) || null;
+}
+
+export function listCommands() {
+  return [...commands.values()];
+}
+
+export function canUse(command, member) {
+  return !command.permission || member.permissions.has(command.permission);
+}
+
+export function formatUsage(command, prefix) {
+  return `${prefix}${command.name} ${command.usage || ""}`.trim();
+}
+
+export function getCooldown(command, guildId) {
+  return getGuildConfig(guildId).cooldowns[command.name] ?? command.cooldown ?? DEFAULT_COOLDOWN;
+}
+
+// -------------------- Did You Mean --------------------
+// Edit distance where swapping two neighbouring letters counts as one typo
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Closest command name or alias the member may use, allowing about one typo
+// per three characters
+export function findSimilarCommand(name, member) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of [...commands.keys(), ...aliases.keys()]) {
+    if (!canUse(getCommand(candidate), member)) continue;
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(1, Math.floor(name.length / 3)) ? best : null;
+}
+
+// -------------------- Execution --------------------
+function checkCooldown(guildId, userId, command) {
+  const key = `${guildId}-${userId}-${command.name}`;
+  const now = Date.now();
+  const cooldownTime = getCooldown(command, guildId) * 1000;
+
+  const lastUsed = getValue("cooldowns", key);
+  if (lastUsed !== null) {
+    const expirationTime = lastUsed + cooldownTime;
+    if (now < expirationTime) {
+      const timeLeft = (expirationTime - now) / 1000;
+      return timeLeft;
+    }
+  }
+
+  setValue("cooldowns", key, now);
+  return false;
+}
+
+// Shared by both entry points: permission, role hierarchy, option and cooldown
+// checks. The cooldown comes last so only commands that actually run count.
+export async function runCommand(command, ctx) {
+  if (command.permission && !ctx.member.permissions.has(command.permission)) {
+    const permissionName = command.permission.replace(/([a-z])([A-Z])/g, "$1 $2");
+    return ctx.error(`❌ You need ${permissionName} permission to use this command.`);
+  }
+
+  const target = ctx.options.user;
+  if (command.hierarchy && target && target.roles.highest.position >= ctx.member.roles.highest.position && ctx.user.id !== ctx.guild.ownerId) {
+    return ctx.error(`❌ You cannot ${command.hierarchy} this user (role hierarchy).`);
+  }
+
+  if (ctx.optionError) return ctx.error(ctx.optionError);
+
+  const timeLeft = checkCooldown(ctx.guild.id, ctx.user.id, command);
+  if (timeLeft) {
+    return ctx.error(`⏰ Please wait ${timeLeft.toFixed(1)} seconds before using this command again.`, { deleteAfter: 5000 });
+  }
+
+  try {
+    await command.execute(ctx, ctx.options);
+  } catch (error) {
+    log.error(`❌ Error executing command ${command.name}`, error);
+    ctx.error("❌ An error occurred while executing this command.").catch(() => {});
+  }
+}
+
+// Guild commands update instantly, unlike global ones. Aliases are prefix-only.
+export async function registerSlashCommands(guild) {
+  try {
+    const data = listCommands().map(toSlashCommandData);
+    await guild.commands.set(data);
+    log.info(`✅ Registered ${data.length} slash commands in ${guild.name}`);
+  } catch (err) {
+    log.error(`❌ Failed to register slash commands in ${guild.name}`, err);
+  }
+}
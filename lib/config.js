@@ -0,0 +1,34 @@
+import fs from "fs";
+
+// -------------------- Configuration --------------------
+// config/default.json ships with the bot. config/local.json (git-ignored) is
+// merged on top of it so a deployment only lists the settings it changes.
+const DEFAULT_CONFIG_FILE = "./config/default.json";
+const LOCAL_CONFIG_FILE = "./config/local.json";
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Objects are merged key by key, arrays and scalars are replaced outright
+export function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return result;
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to parse ${file}, ignoring it.`, err);
+    return {};
+  }
+}
+
+const config = mergeConfig(readConfigFile(DEFAULT_CONFIG_FILE), readConfigFile(LOCAL_CONFIG_FILE));
+
+export default config;
@@ -0,0 +1,46 @@
+// -------------------- Duration Parsing --------------------
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Longest duration accepted anywhere (timed bans and mutes, escalation
+// windows). Anything longer is rejected rather than trimmed.
+export const MAX_DURATION = 365 * UNITS.d;
+
+// Parse "30m", "12h", "2d", "2w" or combinations such as "1d12h" into
+// milliseconds. Bare numbers are only accepted when a default unit is given
+// (e.g. parseDuration("10", "m") for the legacy minute-based timeout).
+// Returns null for anything unparseable or longer than MAX_DURATION.
+export function parseDuration(input, defaultUnit = null) {
+  if (input === undefined || input === null) return null;
+  const text = String(input).trim().toLowerCase();
+
+  if (/^\d+$/.test(text)) {
+    const ms = defaultUnit ? Number(text) * UNITS[defaultUnit] : 0;
+    return ms > 0 && ms <= MAX_DURATION ? ms : null;
+  }
+  if (!/^(\d+[smhdw])+$/.test(text)) return null;
+
+  let ms = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+    ms += Number(amount) * UNITS[unit];
+  }
+  return ms > 0 && ms <= MAX_DURATION ? ms : null;
+}
+
+// Format milliseconds as a short human readable string, e.g. "2d 3h"
+export function formatDuration(ms) {
+  const parts = [];
+  let remaining = Math.round(ms / 1000) * 1000;
+  for (const [unit, size] of Object.entries(UNITS).reverse()) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  return parts.join(" ") || "0s";
+}
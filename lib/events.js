@@ -0,0 +1,28 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger("events");
+
+// -------------------- Live Events --------------------
+// What the dashboard shows live is published here and pushed to it over
+// GET /api/stream. guildId is null for bot-wide events such as the
+// connection state.
+//
+// Types: leaderboard, member.join, member.leave, moderation, bot
+const listeners = new Set();
+
+export function publishEvent(type, guildId, data = {}) {
+  const event = { type, guildId, time: new Date().toISOString(), data };
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      log.error(`❌ Live event listener failed for ${type}`, err);
+    }
+  }
+}
+
+// Called with every event; returns a function that stops listening
+export function onEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,358 @@
+import config, { mergeConfig } from "./config.js";
+import { createLogger } from "./logger.js";
+import { getAll, setValue } from "./storage.js";
+import { TEMPLATE_FIELDS, MAX_TOP_COUNT, unknownPlaceholders, parsePlacement } from "./announcementTemplate.js";
+import {
+  TEMPLATE_FIELDS as WELCOME_FIELDS,
+  TEMPLATE_LIMITS as WELCOME_LIMITS,
+  unknownPlaceholders as unknownWelcomePlaceholders,
+} from "./welcomeTemplate.js";
+import { RULES as AUTOMOD_RULES, ACTIONS as AUTOMOD_ACTIONS, LIST_ENTRY_CHECKS, MAX_LIST_ENTRIES } from "./automodRules.js";
+import { parseDuration } from "./durations.js";
+
+const log = createLogger("settings");
+
+// -------------------- Per-Guild Settings --------------------
+// Each server stores only the settings it changed; everything else falls back
+// to config.guildDefaults. Keys:
+//   prefix                                             - prefix for text commands
+//   leaderboardChannelId, suggestionsChannelId, logsChannelId, winnerRoleId
+//   periodChannels                                     - { period: channelId }, for
+//                                                        periods not announced in
+//                                                        leaderboardChannelId
+//   cooldowns                                          - { commandName: seconds }
+//   counting                                           - anti-spam rules for the
+//                                                        leaderboards, see lib/antiSpam.js
+//   levels                                             - XP and level role rewards,
+//                                                        see lib/levels.js
+//   announcement                                       - leaderboard announcement
+//                                                        template and placement
+//                                                        rewards, see
+//                                                        lib/announcementTemplate.js
+//   welcome, goodbye                                   - messages posted when members
+//                                                        join and leave, and the
+//                                                        auto-role, see
+//                                                        lib/welcomeTemplate.js
+//   messageLogs                                        - which message edits and
+//                                                        deletes are logged, see
+//                                                        lib/messageLog.js
+//   automod                                            - { rule: options } for the
+//                                                        automatic moderation rules,
+//                                                        see lib/automodRules.js
+export const CHANNEL_SETTINGS = ["leaderboardChannelId", "suggestionsChannelId", "logsChannelId"];
+export const ROLE_SETTINGS = ["winnerRoleId"];
+// Settings holding a map, updated one entry at a time (see updateGuildConfig)
+const MAP_SETTINGS = ["periodChannels", "cooldowns", "counting", "levels", "announcement", "welcome", "goodbye", "messageLogs", "automod"];
+
+// Stored in the "guilds" namespace (see lib/storage.js)
+const guildSettings = getAll("guilds");
+log.info(`✅ Loaded settings for ${Object.keys(guildSettings).length} server(s)`);
+
+export function getGuildConfig(guildId) {
+  return mergeConfig(config.guildDefaults, guildSettings[guildId]);
+}
+
+function validateSetting(key, value) {
+  const isId = (id) => id === null || /^\d{17,20}$/.test(String(id));
+
+  if (MAP_SETTINGS.includes(key)) {
+    if (value === null) return;
+    if (typeof value !== "object" || Array.isArray(value)) throw new Error(`${key} must be an object or null`);
+  }
+
+  if (key === "prefix") {
+    if (value !== null && !/^\S{1,5}$/.test(value)) {
+      throw new Error("Prefix must be 1-5 characters without spaces");
+    }
+  } else if (CHANNEL_SETTINGS.includes(key) || ROLE_SETTINGS.includes(key)) {
+    if (!isId(value)) throw new Error(`${key} must be a Discord ID or null`);
+  } else if (key === "periodChannels") {
+    for (const [period, channelId] of Object.entries(value)) {
+      if (!isId(channelId)) throw new Error(`Channel for the ${period} leaderboard must be a Discord ID or null`);
+    }
+  } else if (key === "cooldowns") {
+    for (const [command, seconds] of Object.entries(value)) {
+      if (seconds !== null && !(Number.isFinite(seconds) && seconds >= 0 && seconds <= 3600)) {
+        throw new Error(`Cooldown for ${command} must be between 0 and 3600 seconds`);
+      }
+    }
+  } else if (key === "counting") {
+    validateCounting(value);
+  } else if (key === "levels") {
+    validateLevels(value);
+  } else if (key === "announcement") {
+    validateAnnouncement(value);
+  } else if (key === "welcome" || key === "goodbye") {
+    validateWelcome(key, value);
+  } else if (key === "messageLogs") {
+    validateMessageLogs(value);
+  } else if (key === "automod") {
+    validateAutomod(value);
+  } else {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+}
+
+const COUNTING_LIMITS = {
+  minLength: [0, 100],
+  cooldownSeconds: [0, 3600],
+  duplicateWindow: [0, 50],
+};
+
+function validateCounting(counting) {
+  for (const [key, value] of Object.entries(counting)) {
+    if (value === null) continue;
+    if (COUNTING_LIMITS[key]) {
+      const [min, max] = COUNTING_LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`counting.${key} must be a whole number between ${min} and ${max}`);
+      }
+    } else if (key === "ignoredChannels" || key === "ignoredRoles") {
+      if (!Array.isArray(value) || !value.every((id) => /^\d{17,20}$/.test(String(id)))) {
+        throw new Error(`counting.${key} must be a list of Discord IDs`);
+      }
+    } else if (key === "weighting") {
+      if (typeof value !== "object" || Array.isArray(value)) throw new Error("counting.weighting must be an object");
+      const { enabled, charactersPerPoint, maxPoints } = value;
+      if (enabled != null && typeof enabled !== "boolean") {
+        throw new Error("counting.weighting.enabled must be true or false");
+      }
+      if (charactersPerPoint != null && !(Number.isInteger(charactersPerPoint) && charactersPerPoint >= 1)) {
+        throw new Error("counting.weighting.charactersPerPoint must be a whole number of at least 1");
+      }
+      if (maxPoints != null && !(Number.isInteger(maxPoints) && maxPoints >= 1 && maxPoints <= 100)) {
+        throw new Error("counting.weighting.maxPoints must be a whole number between 1 and 100");
+      }
+    } else {
+      throw new Error(`Unknown counting setting "${key}"`);
+    }
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Map settings are merged at every depth, so { counting: { weighting: {
+// maxPoints: 5 } } } keeps the other weighting options. Lists are replaced
+// whole, and a null entry is removed so its default shows through again.
+function mergeChanges(current, changes) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete merged[key];
+    else if (isPlainObject(value)) merged[key] = mergeChanges(isPlainObject(merged[key]) ? merged[key] : {}, value);
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+// Apply a partial update. null puts a setting (or any entry of a map setting,
+// at any depth) back to its default.
+export function updateGuildConfig(guildId, changes) {
+  for (const [key, value] of Object.entries(changes)) validateSetting(key, value);
+
+  const settings = { ...guildSettings[guildId] };
+  for (const [key, value] of Object.entries(changes)) {
+    if (MAP_SETTINGS.includes(key) && value !== null) {
+      settings[key] = mergeChanges(settings[key], value);
+    } else if (value === null) {
+      delete settings[key];
+    } else {
+      settings[key] = String(value);
+    }
+  }
+
+  guildSettings[guildId] = settings;
+  setValue("guilds", guildId, settings);
+  return getGuildConfig(guildId);
+}
+
+const LEVEL_LIMITS = {
+  xpMin: [1, 1000],
+  xpMax: [1, 1000],
+  cooldownSeconds: [0, 3600],
+};
+const LEVEL_FLAGS = ["enabled", "announceLevelUp", "stackRewards"];
+
+function validateLevels(levels) {
+  for (const [key, value] of Object.entries(levels)) {
+    if (value === null) continue;
+    if (LEVEL_LIMITS[key]) {
+      const [min, max] = LEVEL_LIMITS[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`levels.${key} must be a whole number between ${min} and ${max}`);
+      }
+    } else if (LEVEL_FLAGS.includes(key)) {
+      if (typeof value !== "boolean") throw new Error(`levels.${key} must be true or false`);
+    } else if (key === "levelUpChannelId") {
+      if (!/^\d{17,20}$/.test(String(value))) throw new Error("levels.levelUpChannelId must be a Discord ID or null");
+    } else if (key === "roleRewards") {
+      if (typeof value !== "object" || Array.isArray(value)) throw new Error("levels.roleRewards must be an object");
+      for (const [level, roleId] of Object.entries(value)) {
+        if (!/^\d+$/.test(level) || Number(level) < 1 || Number(level) > 1000) {
+          throw new Error(`levels.roleRewards: "${level}" is not a level between 1 and 1000`);
+        }
+        if (roleId !== null && !/^\d{17,20}$/.test(String(roleId))) {
+          throw new Error(`levels.roleRewards.${level} must be a role ID or null`);
+        }
+      }
+    } else {
+      throw new Error(`Unknown levels setting "${key}"`);
+    }
+  }
+  if (levels.xpMin && levels.xpMax && levels.xpMin > levels.xpMax) {
+    throw new Error("levels.xpMin can't be more than levels.xpMax");
+  }
+}
+
+const TEMPLATE_LIMITS = { title: 200, mention: 1000, line: 200, summary: 1000 };
+
+// Exported for template previews, which check unsaved changes
+export function validateAnnouncement(announcement) {
+  for (const [key, value] of Object.entries(announcement)) {
+    if (value === null) continue;
+    if (TEMPLATE_FIELDS.includes(key)) {
+      if (typeof value !== "string" || value.length > TEMPLATE_LIMITS[key]) {
+        throw new Error(`announcement.${key} must be text of at most ${TEMPLATE_LIMITS[key]} characters`);
+      }
+      if (key === "line" && !value.trim()) throw new Error("announcement.line can't be empty");
+      const unknown = unknownPlaceholders(key, value);
+      if (unknown.length) {
+        throw new Error(`announcement.${key}: unknown placeholder ${unknown.map((name) => `{${name}}`).join(", ")}`);
+      }
+    } else if (key === "color") {
+      if (!/^#[0-9a-f]{6}$/i.test(value)) throw new Error("announcement.color must be a hex colour like #3498DB");
+    } else if (key === "imageUrl") {
+      if (typeof value !== "string" || !/^https?:\/\/[^\s"'<>]+$/.test(value) || value.length > 2000) {
+        throw new Error("announcement.imageUrl must be an http(s) link or null");
+      }
+    } else if (key === "topCount") {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_TOP_COUNT) {
+        throw new Error(`announcement.topCount must be a whole number between 1 and ${MAX_TOP_COUNT}`);
+      }
+    } else if (key === "rewardRoles") {
+      if (typeof value !== "object" || Array.isArray(value)) throw new Error("announcement.rewardRoles must be an object");
+      for (const [placement, roleId] of Object.entries(value)) {
+        const range = parsePlacement(placement);
+        if (!range || range[1] > MAX_TOP_COUNT) {
+          throw new Error(`announcement.rewardRoles: "${placement}" is not a placement like 1 or 1-10 (up to ${MAX_TOP_COUNT})`);
+        }
+        if (roleId !== null && !/^\d{17,20}$/.test(String(roleId))) {
+          throw new Error(`announcement.rewardRoles.${placement} must be a role ID or null`);
+        }
+      }
+    } else {
+      throw new Error(`Unknown announcement setting "${key}"`);
+    }
+  }
+}
+
+// `welcome` and `goodbye` share their fields; only `welcome` has autoRoleId
+function validateWelcome(setting, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null) continue;
+    if (WELCOME_FIELDS.includes(key)) {
+      if (typeof value !== "string" || value.length > WELCOME_LIMITS[key]) {
+        throw new Error(`${setting}.${key} must be text of at most ${WELCOME_LIMITS[key]} characters`);
+      }
+      if (key === "message" && !value.trim()) throw new Error(`${setting}.message can't be empty`);
+      const unknown = unknownWelcomePlaceholders(value);
+      if (unknown.length) {
+        throw new Error(`${setting}.${key}: unknown placeholder ${unknown.map((name) => `{${name}}`).join(", ")}`);
+      }
+    } else if (key === "enabled") {
+      if (typeof value !== "boolean") throw new Error(`${setting}.enabled must be true or false`);
+    } else if (key === "channelId" || (key === "autoRoleId" && setting === "welcome")) {
+      if (!/^\d{17,20}$/.test(String(value))) throw new Error(`${setting}.${key} must be a Discord ID or null`);
+    } else if (key === "color") {
+      if (!/^#[0-9a-f]{6}$/i.test(value)) throw new Error(`${setting}.color must be a hex colour like #2ECC71`);
+    } else if (key === "imageUrl") {
+      if (typeof value !== "string" || !/^https?:\/\/[^\s"'<>]+$/.test(value) || value.length > 2000) {
+        throw new Error(`${setting}.imageUrl must be an http(s) link or null`);
+      }
+    } else {
+      throw new Error(`Unknown ${setting} setting "${key}"`);
+    }
+  }
+}
+
+const MESSAGE_LOG_EVENTS = ["edits", "deletes", "bulkDeletes"];
+
+function validateMessageLogs(messageLogs) {
+  for (const [key, value] of Object.entries(messageLogs)) {
+    if (value === null) continue;
+    if (MESSAGE_LOG_EVENTS.includes(key)) {
+      if (typeof value !== "boolean") throw new Error(`messageLogs.${key} must be true or false`);
+    } else if (key === "ignoredChannels") {
+      if (!Array.isArray(value) || !value.every((id) => /^\d{17,20}$/.test(String(id)))) {
+        throw new Error("messageLogs.ignoredChannels must be a list of Discord IDs");
+      }
+    } else {
+      throw new Error(`Unknown messageLogs setting "${key}"`);
+    }
+  }
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => /^\d{17,20}$/.test(String(id)));
+
+// A rule may list only the options it changes; null puts an option, or the
+// whole rule, back to its defaults
+function validateAutomod(automod) {
+  for (const [name, rule] of Object.entries(automod)) {
+    // Own keys only, so "constructor" and the like aren't taken for rules
+    if (!Object.hasOwn(AUTOMOD_RULES, name)) throw new Error(`Unknown automod rule "${name}"`);
+    if (rule === null) continue;
+    if (typeof rule !== "object" || Array.isArray(rule)) throw new Error(`automod.${name} must be an object`);
+
+    const { options } = AUTOMOD_RULES[name];
+    for (const [key, value] of Object.entries(rule)) {
+      const where = `automod.${name}.${key}`;
+      const option = Object.hasOwn(options, key) ? options[key] : null;
+      if (value === null) continue;
+      if (key === "enabled") {
+        if (typeof value !== "boolean") throw new Error(`${where} must be true or false`);
+      } else if (key === "action") {
+        if (!AUTOMOD_ACTIONS.includes(value)) throw new Error(`${where} must be one of ${AUTOMOD_ACTIONS.join(", ")}`);
+      } else if (key === "duration") {
+        if (!parseDuration(value)) throw new Error(`${where} must be a duration like 10m, 1h or 1d`);
+      } else if (key === "exemptRoles" || key === "exemptChannels") {
+        if (!isIdList(value)) throw new Error(`${where} must be a list of Discord IDs`);
+      } else if (Array.isArray(option)) {
+        const [min, max] = option;
+        if (!Number.isInteger(value) || value < min || value > max) {
+          throw new Error(`${where} must be a whole number between ${min} and ${max}`);
+        }
+      } else if (option) {
+        if (!Array.isArray(value) || value.length > MAX_LIST_ENTRIES) {
+          throw new Error(`${where} must be a list of at most ${MAX_LIST_ENTRIES} entries`);
+        }
+        const invalid = value.find((entry) => !LIST_ENTRY_CHECKS[option](entry));
+        if (invalid !== undefined) throw new Error(`${where}: "${invalid}" is not valid`);
+      } else {
+        throw new Error(`Unknown automod.${name} setting "${key}"`);
+      }
+    }
+  }
+}
+
+// -------------------- Single-Server Migration --------------------
+// Before per-guild settings existed, the channel and role IDs came from .env.
+// The server those IDs belong to inherits them the first time it is seen.
+const LEGACY_SETTINGS = {
+  leaderboardChannelId: process.env.LEADERBOARD_CHANNEL_ID,
+  suggestionsChannelId: process.env.SUGGESTIONS_CHANNEL_ID,
+  logsChannelId: process.env.LOGS_CHANNEL_ID,
+  winnerRoleId: process.env.WINNER_ROLE_ID,
+};
+
+export function getLegacyChannelIds() {
+  return CHANNEL_SETTINGS.map((key) => LEGACY_SETTINGS[key]).filter(Boolean);
+}
+
+export function adoptLegacySettings(guildId) {
+  if (guildSettings[guildId]) return false;
+
+  const changes = Object.fromEntries(Object.entries(LEGACY_SETTINGS).filter(([, value]) => value));
+  if (Object.keys(changes).length === 0) return false;
+
+  updateGuildConfig(guildId, changes);
+  return true;
+}
@@ -0,0 +1,340 @@
+import fs from "fs";
+import { EmbedBuilder } from "discord.js";
+import config from "./config.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { archivePeriod, getMemberTotals, sortCounts } from "./leaderboardHistory.js";
+import { createLogger } from "./logger.js";
+import { publishEvent } from "./events.js";
+import { renderAnnouncement, rewardRolesFor } from "./announcementTemplate.js";
+import { getAll, replaceAll } from "./storage.js";
+
+const log = createLogger("leaderboard");
+
+const LEGACY_FILE = "./leaderboard.legacy.json";
+
+// -------------------- Periods --------------------
+// Boards are tracked side by side. Each period's schedule, announcement and
+// reset behaviour come from config.leaderboard.periods; the channel it is
+// announced in is a per-guild setting (periodChannels, falling back to
+// leaderboardChannelId).
+const PERIOD_SETTINGS = config.leaderboard.periods;
+
+export const PERIODS = Object.keys(PERIOD_SETTINGS).filter((period) => PERIOD_SETTINGS[period].enabled);
+
+const PERIOD_LABELS = {
+  daily: { title: "Daily", owner: "Today's", span: "Today" },
+  weekly: { title: "Weekly", owner: "This week's", span: "This Week" },
+  monthly: { title: "Monthly", owner: "This month's", span: "This Month" },
+  alltime: { title: "All-Time", owner: "All-time", span: "All Time" },
+};
+
+// "Monthly", "all-time" and so on, as typed in commands
+export function resolvePeriod(input) {
+  const period = String(input).toLowerCase().replace(/[^a-z]/g, "");
+  return PERIODS.includes(period) ? period : null;
+}
+
+export function getPeriodSettings(period) {
+  return PERIOD_SETTINGS[period];
+}
+
+export function getPeriodLabels(period) {
+  return PERIOD_LABELS[period] || { title: period, owner: `This ${period}'s`, span: `This ${period}` };
+}
+
+// -------------------- Data Management --------------------
+// The "leaderboard" storage namespace maps guild ID -> period ->
+// { userId: messageCount } (see lib/storage.js)
+let leaderboards = {};
+let legacyLeaderboard = null; // single-server data that still needs a guild
+let lastSave = Date.now();
+let pendingSave = null;
+const SAVE_INTERVAL = 30000; // Save every 30 seconds instead of every message
+
+const isCountMap = (data) => Object.values(data).some((value) => typeof value === "number");
+
+// Load leaderboard data
+const stored = getAll("leaderboard");
+// The oldest format was a flat { userId: count } map for the only server
+if (isCountMap(stored)) {
+  legacyLeaderboard = stored;
+  log.info(`✅ Loaded single-server leaderboard data (${Object.keys(stored).length} users)`);
+} else {
+  for (const [guildId, boards] of Object.entries(stored)) {
+    // Per-guild data from before periods were added is the weekly board
+    leaderboards[guildId] = isCountMap(boards) ? { weekly: boards } : boards;
+  }
+  log.info(`✅ Loaded leaderboard data (${Object.keys(leaderboards).length} servers)`);
+}
+
+// Saves are throttled to one per SAVE_INTERVAL; a skipped save is retried
+// once the interval is up, so no change waits longer than that
+export function saveData(force = false) {
+  // Keep the old data intact until it has been assigned to a guild
+  if (legacyLeaderboard) return;
+
+  const wait = SAVE_INTERVAL - (Date.now() - lastSave);
+  if (!force && wait > 0) {
+    pendingSave ||= setTimeout(() => saveData(true), wait).unref();
+    return;
+  }
+  clearTimeout(pendingSave);
+  pendingSave = null;
+  replaceAll("leaderboard", leaderboards);
+  lastSave = Date.now();
+}
+
+export function hasLegacyLeaderboard() {
+  return legacyLeaderboard !== null;
+}
+
+// Merge single-server data into a guild's weekly and all-time boards. Without
+// a guild the old data is set aside in leaderboard.legacy.json instead.
+export function adoptLegacyLeaderboard(guildId) {
+  if (!legacyLeaderboard) return;
+
+  if (guildId) {
+    // All-time first, so its board is seeded before the weekly one grows
+    for (const period of ["alltime", "weekly"]) {
+      const leaderboard = getLeaderboard(guildId, period);
+      for (const [userId, count] of Object.entries(legacyLeaderboard)) {
+        leaderboard[userId] = (leaderboard[userId] || 0) + count;
+      }
+    }
+  } else {
+    try {
+      fs.writeFileSync(LEGACY_FILE, JSON.stringify(legacyLeaderboard, null, 2));
+    } catch (err) {
+      log.error("❌ Failed to set aside single-server leaderboard", err);
+      return;
+    }
+  }
+
+  legacyLeaderboard = null;
+  saveData(true);
+}
+
+export function getLeaderboard(guildId, period = "weekly") {
+  const boards = (leaderboards[guildId] ||= {});
+  if (!boards[period]) {
+    // A new all-time board starts from the weekly history already archived
+    boards[period] = period === "alltime"
+      ? Object.fromEntries(Object.entries(getMemberTotals(guildId, boards.weekly)).map(([userId, { allTime }]) => [userId, allTime]))
+      : {};
+  }
+  return boards[period];
+}
+
+export function countTrackedUsers(period = "weekly") {
+  return Object.keys(leaderboards).reduce((total, guildId) => total + Object.keys(getLeaderboard(guildId, period)).length, 0);
+}
+
+// points is 1 unless the guild weights messages (see lib/antiSpam.js)
+export function recordMessage(guildId, userId, points = 1) {
+  for (const period of PERIODS) {
+    const leaderboard = getLeaderboard(guildId, period);
+    if (!leaderboard[userId]) leaderboard[userId] = 0;
+    leaderboard[userId] += points;
+  }
+  saveData(); // Will only save every 30 seconds due to rate limiting
+  queueLeaderboardEvent(guildId);
+}
+
+// Archive the finished period before starting a new one
+export function resetLeaderboard(guildId, period = "weekly") {
+  archivePeriod(guildId, period, getLeaderboard(guildId, period));
+  leaderboards[guildId][period] = {};
+  saveData(true);
+  publishLeaderboardEvent(guildId, { periods: [period], reset: true });
+}
+
+// boards: period -> { userId: count } (see lib/leaderboardTransfer.js).
+// "replace" swaps out each imported period's board, "merge" adds the counts
+// to it; periods missing from `boards` are left alone.
+export function importLeaderboard(guildId, boards, mode = "merge") {
+  for (const [period, counts] of Object.entries(boards)) {
+    if (mode === "replace") (leaderboards[guildId] ||= {})[period] = {};
+    const leaderboard = getLeaderboard(guildId, period);
+    for (const [userId, count] of Object.entries(counts)) {
+      leaderboard[userId] = (leaderboard[userId] || 0) + count;
+    }
+  }
+  saveData(true);
+  publishLeaderboardEvent(guildId, { periods: Object.keys(boards) });
+}
+
+// -------------------- Live Updates --------------------
+// Busy servers count many messages a second, so they are batched into one
+// "leaderboard" event per server every LIVE_UPDATE_INTERVAL
+const LIVE_UPDATE_INTERVAL = 2000;
+const LIVE_TOP_SIZE = 10;
+
+const pendingMessages = new Map(); // guildId -> messages counted since the last event
+
+function queueLeaderboardEvent(guildId) {
+  if (pendingMessages.has(guildId)) {
+    pendingMessages.set(guildId, pendingMessages.get(guildId) + 1);
+    return;
+  }
+  pendingMessages.set(guildId, 1);
+  setTimeout(() => {
+    const counted = pendingMessages.get(guildId);
+    pendingMessages.delete(guildId);
+    publishLeaderboardEvent(guildId, { periods: PERIODS, counted });
+  }, LIVE_UPDATE_INTERVAL).unref();
+}
+
+// Totals and the top of each changed board, enough for the overview without
+// another request
+function publishLeaderboardEvent(guildId, { periods, counted = 0, reset = false }) {
+  const boards = Object.fromEntries(
+    periods.map((period) => {
+      const leaderboard = getLeaderboard(guildId, period);
+      return [period, {
+        users: Object.keys(leaderboard).length,
+        messages: Object.values(leaderboard).reduce((a, b) => a + b, 0),
+        top: sortCounts(leaderboard).slice(0, LIVE_TOP_SIZE),
+      }];
+    })
+  );
+  publishEvent("leaderboard", guildId, { periods, counted, reset, boards });
+}
+
+// -------------------- Announcements --------------------
+// Placement rewards ({ placement: roleId }, see lib/announcementTemplate.js).
+// Servers that only set the older winnerRoleId give it to first place.
+export function placementRewards(guildId, rewardRoles = getGuildConfig(guildId).announcement.rewardRoles) {
+  const { winnerRoleId } = getGuildConfig(guildId);
+  const rewards = Object.fromEntries(Object.entries(rewardRoles).filter(([, roleId]) => roleId));
+  if (Object.keys(rewards).length === 0 && winnerRoleId) return { 1: winnerRoleId };
+  return rewards;
+}
+
+// Take last period's reward roles back from everyone who has them
+async function removeRewardRoles(guild, roleIds) {
+  for (const roleId of roleIds) {
+    try {
+      const role = await guild.roles.fetch(roleId);
+      if (!role) {
+        log.warn(`⚠️ Reward role ${roleId} not found in ${guild.name}!`);
+        continue;
+      }
+      for (const [, member] of role.members) {
+        try {
+          await member.roles.remove(roleId);
+          log.info(`✅ Removed reward role ${role.name} from ${member.user.tag}`);
+        } catch (err) {
+          log.error(`❌ Failed to remove role from ${member.user.tag}`, err);
+        }
+      }
+    } catch (err) {
+      log.error("❌ Error removing reward roles", err);
+    }
+  }
+}
+
+async function giveRewardRoles(guild, rewards, sorted) {
+  for (const [index, [userId]] of sorted.entries()) {
+    const roleIds = rewardRolesFor(rewards, index + 1);
+    if (roleIds.length === 0) continue;
+    try {
+      const member = await guild.members.fetch(userId);
+      await member.roles.add(roleIds);
+      log.info(`✅ Gave #${index + 1} reward role(s) to ${member.user.tag}`);
+    } catch (err) {
+      log.error(`❌ Failed to give reward roles to ${userId}`, err);
+    }
+  }
+}
+
+export function getAnnouncementChannelId(guildId, period) {
+  const { periodChannels, leaderboardChannelId } = getGuildConfig(guildId);
+  return periodChannels[period] || leaderboardChannelId;
+}
+
+// Called by each period's cron schedule
+export async function endPeriod(guild, period) {
+  const settings = getPeriodSettings(period);
+  if (settings.announce) {
+    await sendLeaderboard(guild, period);
+  } else if (settings.reset) {
+    resetLeaderboard(guild.id, period);
+  }
+}
+
+// The announcement for a period's current standings, as channel.send()
+// options. `overrides` are unsaved template changes, for previews. null when
+// nobody has sent a message yet.
+export function buildAnnouncement(guild, period, overrides = {}) {
+  const sorted = sortCounts(getLeaderboard(guild.id, period));
+  if (sorted.length === 0) return null;
+
+  const template = { ...getGuildConfig(guild.id).announcement };
+  for (const [key, value] of Object.entries(overrides)) {
+    template[key] = value ?? config.guildDefaults.announcement[key];
+  }
+  const rendered = renderAnnouncement(template, {
+    sorted,
+    labels: getPeriodLabels(period),
+    serverName: guild.name,
+    willReset: getPeriodSettings(period).reset,
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(rendered.title || null)
+    .setColor(rendered.color)
+    .setDescription(rendered.description)
+    .setFooter({
+      text: `Leaderboard | ${new Date().toLocaleDateString(
+        "en-GB"
+      )} ${new Date().toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" })}`,
+    });
+  if (rendered.imageUrl) embed.setImage(rendered.imageUrl);
+
+  return {
+    ...(rendered.content && { content: rendered.content }),
+    embeds: [embed],
+    allowedMentions: { parse: ["users"] },
+  };
+}
+
+// Posts a period's leaderboard and ends the period. Resolves to true once the
+// announcement is posted, false when it couldn't be (logged here).
+export async function sendLeaderboard(guild, period = "weekly") {
+  try {
+    const settings = getPeriodSettings(period);
+    const labels = getPeriodLabels(period);
+    const channelId = getAnnouncementChannelId(guild.id, period);
+    const rewards = settings.winnerRole ? placementRewards(guild.id) : {};
+
+    // Servers without a leaderboard channel still get a fresh period
+    if (!channelId) {
+      if (settings.reset) resetLeaderboard(guild.id, period);
+      return false;
+    }
+
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      log.warn(`⚠️ ${labels.title} leaderboard channel not found in ${guild.name}!`);
+      return false;
+    }
+
+    const rewardRoleIds = [...new Set(Object.values(rewards))];
+    if (rewardRoleIds.length) await removeRewardRoles(guild, rewardRoleIds);
+
+    const announcement = buildAnnouncement(guild, period);
+    if (!announcement) {
+      await channel.send(`📊 No messages recorded ${labels.span.toLowerCase()}!`);
+      return true;
+    }
+    await channel.send(announcement);
+
+    if (rewardRoleIds.length) await giveRewardRoles(guild, rewards, sortCounts(getLeaderboard(guild.id, period)));
+
+    if (settings.reset) resetLeaderboard(guild.id, period);
+    log.info(`✅ ${labels.title} leaderboard sent in ${guild.name}`);
+    return true;
+  } catch (err) {
+    log.error("❌ Error sending leaderboard", err);
+    return false;
+  }
+}
@@ -0,0 +1,110 @@
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("leaderboard");
+
+// -------------------- Leaderboard History --------------------
+// Every reset archives the finished period with its full counts. Archives
+// never change once written, so they are appended to a journal (one JSON
+// record per line) and numbered per server and period starting at 1.
+const HISTORY_FILE = "./data/leaderboard-history.jsonl";
+
+const history = new Map(); // "guildId:period" -> archives, oldest first
+
+const historyKey = (guildId, period) => `${guildId}:${period}`;
+
+function loadHistory() {
+  if (!fs.existsSync(HISTORY_FILE)) return;
+
+  try {
+    const raw = fs.readFileSync(HISTORY_FILE, "utf8");
+    let count = 0;
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const archive = JSON.parse(line);
+        // Records written before other periods existed were all weekly
+        if (!archive.period) {
+          archive.period = "weekly";
+          archive.number = archive.week;
+          delete archive.week;
+        }
+        const key = historyKey(archive.guildId, archive.period);
+        if (!history.has(key)) history.set(key, []);
+        history.get(key).push(archive);
+        count++;
+      } catch {
+        log.warn(`⚠️ Skipping corrupt leaderboard history entry: ${line.slice(0, 80)}`);
+      }
+    }
+    log.info(`✅ Loaded ${count} archived leaderboard(s)`);
+  } catch (err) {
+    log.error("❌ Failed to load leaderboard history", err);
+  }
+}
+
+loadHistory();
+
+export function sortCounts(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+// Store a finished period. Periods without any messages are not archived.
+export function archivePeriod(guildId, period, counts) {
+  const sorted = sortCounts(counts);
+  if (sorted.length === 0) return null;
+
+  const archives = history.get(historyKey(guildId, period)) || [];
+  const previous = archives[archives.length - 1];
+  const archive = {
+    guildId,
+    period,
+    number: (previous?.number ?? 0) + 1,
+    startedAt: previous?.endedAt ?? null,
+    endedAt: new Date().toISOString(),
+    winnerId: sorted[0][0],
+    totalMessages: sorted.reduce((total, [, count]) => total + count, 0),
+    counts: Object.fromEntries(sorted),
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(archive) + "\n");
+  } catch (err) {
+    log.error(`❌ Failed to archive ${period} leaderboard #${archive.number}`, err);
+  }
+
+  archives.push(archive);
+  history.set(historyKey(guildId, period), archives);
+  return archive;
+}
+
+// Newest first
+export function listArchives(guildId, period = "weekly") {
+  return [...(history.get(historyKey(guildId, period)) || [])].reverse();
+}
+
+export function getArchive(guildId, period, number) {
+  return (history.get(historyKey(guildId, period)) || []).find((archive) => archive.number === Number(number)) || null;
+}
+
+export function getLatestArchive(guildId, period = "weekly") {
+  const archives = history.get(historyKey(guildId, period)) || [];
+  return archives[archives.length - 1] || null;
+}
+
+// All-time message totals (archived weeks plus the running week) and number
+// of weekly wins per member
+export function getMemberTotals(guildId, currentCounts = {}) {
+  const totals = {};
+  const entry = (userId) => (totals[userId] ||= { allTime: 0, wins: 0 });
+
+  for (const week of history.get(historyKey(guildId, "weekly")) || []) {
+    for (const [userId, count] of Object.entries(week.counts)) entry(userId).allTime += count;
+    entry(week.winnerId).wins++;
+  }
+  for (const [userId, count] of Object.entries(currentCounts)) entry(userId).allTime += count;
+
+  return totals;
+}
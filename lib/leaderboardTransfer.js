@@ -0,0 +1,240 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import { createLogger } from "./logger.js";
+import { writeFileAtomic } from "./safeFile.js";
+import { PERIODS, getLeaderboard } from "./leaderboard.js";
+import { sortCounts } from "./leaderboardHistory.js";
+
+const log = createLogger("leaderboard");
+
+// -------------------- Export --------------------
+// An export lists each period's board as ranked rows:
+//   { guildId, guildName, exportedAt, periods: { weekly: [{ rank, userId, username, messages }] } }
+// and flattens to CSV with one row per member and period. Both forms can be
+// imported again.
+const CSV_COLUMNS = ["period", "rank", "userId", "username", "messages"];
+const IMPORT_MODES = ["merge", "replace"];
+
+export async function exportLeaderboard(guild, periods = PERIODS) {
+  try {
+    await guild.members.fetch();
+  } catch (err) {
+    log.warn(`⚠️ Could not fetch members of ${guild.name}, exporting known usernames only`, { error: err.message });
+  }
+  // Members who have left keep their username while the bot still has them cached
+  const username = (userId) =>
+    guild.members.cache.get(userId)?.user.username ?? guild.client.users.cache.get(userId)?.username ?? null;
+
+  return {
+    guildId: guild.id,
+    guildName: guild.name,
+    exportedAt: new Date().toISOString(),
+    periods: Object.fromEntries(
+      periods.map((period) => [
+        period,
+        sortCounts(getLeaderboard(guild.id, period)).map(([userId, messages], index) => ({
+          rank: index + 1,
+          userId,
+          username: username(userId),
+          messages,
+        })),
+      ])
+    ),
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportToCsv(exported) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const [period, rows] of Object.entries(exported.periods)) {
+    for (const row of rows) {
+      lines.push(CSV_COLUMNS.map((column) => csvField(column === "period" ? period : row[column])).join(","));
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// -------------------- Import --------------------
+// Rows of fields, with quoted fields that may hold commas, quotes ("") and
+// line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// CSV rows as { period, userId, messages, line }
+function csvEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map((name) => name.trim());
+  const missing = ["period", "userId", "messages"].filter((name) => !columns.includes(name));
+  if (missing.length) throw new Error(`CSV header is missing ${missing.join(", ")} (expected ${CSV_COLUMNS.join(",")})`);
+
+  return rows.map((fields, index) => {
+    const value = (name) => (fields[columns.indexOf(name)] ?? "").trim();
+    const messages = value("messages");
+    return {
+      period: value("period"),
+      userId: value("userId"),
+      messages: /^\d+$/.test(messages) ? Number(messages) : messages,
+      line: `line ${index + 2}`,
+    };
+  });
+}
+
+// Rows of an export object as { period, userId, messages, line }
+function jsonEntries(data) {
+  if (!data || typeof data.periods !== "object" || Array.isArray(data.periods)) {
+    throw new Error("JSON import needs a periods object, as written by the export");
+  }
+  return Object.entries(data.periods).flatMap(([period, rows]) => {
+    if (!Array.isArray(rows)) throw new Error(`periods.${period} must be a list of rows`);
+    return rows.map((row, index) => ({ period, userId: row?.userId, messages: row?.messages, line: `${period}[${index}]` }));
+  });
+}
+
+// A CSV or JSON export (text, or JSON already parsed) as period ->
+// { userId: count }. Every row is checked first and nothing is returned
+// unless all of them are valid. A period listed in a JSON export without any
+// rows is imported as an empty board.
+export function parseImport(input) {
+  let data = input;
+  let entries;
+  if (typeof input === "string") {
+    const text = input.replace(/^\uFEFF/, "");
+    if (text.trim().startsWith("{")) {
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+      }
+      entries = jsonEntries(data);
+    } else {
+      data = null;
+      entries = csvEntries(text);
+    }
+  } else {
+    entries = jsonEntries(input);
+  }
+
+  const boards = {};
+  const problems = [];
+  for (const period of Object.keys(data?.periods || {})) {
+    if (PERIODS.includes(period)) boards[period] = {};
+    else problems.push(`unknown period "${period}" (use ${PERIODS.join(", ")})`);
+  }
+  for (const { period, userId, messages, line } of entries) {
+    if (!PERIODS.includes(period)) {
+      if (!data) problems.push(`${line}: unknown period "${period}" (use ${PERIODS.join(", ")})`);
+    } else if (!/^\d{17,20}$/.test(String(userId ?? ""))) {
+      problems.push(`${line}: "${userId ?? ""}" is not a user ID`);
+    } else if (!Number.isInteger(messages) || messages < 0) {
+      problems.push(`${line}: messages must be a whole number, got "${messages ?? ""}"`);
+    } else if (boards[period]?.[userId] !== undefined) {
+      problems.push(`${line}: ${userId} appears twice in the ${period} board`);
+    } else {
+      (boards[period] ||= {})[String(userId)] = messages;
+    }
+  }
+
+  if (Object.keys(boards).length === 0 && problems.length === 0) throw new Error("Nothing to import");
+  if (problems.length) {
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : "";
+    throw new Error(`Import rejected, ${problems.length} problem(s): ${problems.slice(0, 5).join("; ")}${more}`);
+  }
+  return boards;
+}
+
+export function isImportMode(mode) {
+  return IMPORT_MODES.includes(mode);
+}
+
+// -------------------- Snapshots --------------------
+// Exports written to <snapshots.dir>/<guildId>/ before the dashboard wipes a
+// board (a reset, or an import that replaces it), so it can be restored.
+// Only the newest snapshots.keep per server are kept.
+const SNAPSHOT_SETTINGS = config.leaderboard.snapshots;
+
+const snapshotDir = (guildId) => path.join(SNAPSHOT_SETTINGS.dir, guildId);
+
+export async function saveSnapshot(guild, periods, reason) {
+  const exported = { ...(await exportLeaderboard(guild, periods)), reason };
+  const name = `${exported.exportedAt.replace(/[:.]/g, "-")}-${reason}`;
+  writeFileAtomic(path.join(snapshotDir(guild.id), `${name}.json`), JSON.stringify(exported, null, 2));
+
+  for (const { name: old } of listSnapshots(guild.id).slice(SNAPSHOT_SETTINGS.keep)) {
+    try {
+      fs.unlinkSync(path.join(snapshotDir(guild.id), `${old}.json`));
+    } catch (err) {
+      log.error(`❌ Failed to remove old leaderboard snapshot ${old}`, err);
+    }
+  }
+  log.info(`💾 Saved leaderboard snapshot ${name} for ${guild.name}`);
+  return name;
+}
+
+// Newest first, without the rows
+export function listSnapshots(guildId) {
+  const dir = snapshotDir(guildId);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .reverse()
+    .map((file) => {
+      const name = file.slice(0, -".json".length);
+      try {
+        const { exportedAt, reason, periods } = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        const users = Object.fromEntries(Object.entries(periods).map(([period, rows]) => [period, rows.length]));
+        return { name, exportedAt, reason, users };
+      } catch (err) {
+        log.warn(`⚠️ Skipping unreadable leaderboard snapshot ${file}`, { error: err.message });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+export function getSnapshot(guildId, name) {
+  if (!/^[\w-]+$/.test(name)) return null;
+  const file = path.join(snapshotDir(guildId), `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
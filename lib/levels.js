@@ -0,0 +1,176 @@
+import config from "./config.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { createLogger } from "./logger.js";
+import { writeFileAtomic, backupFile, readJsonWithRecovery } from "./safeFile.js";
+
+const log = createLogger("levels");
+
+// -------------------- XP & Levels --------------------
+// Unlike the leaderboards, XP never resets. Each counted message grants a
+// random amount between the guild's levels.xpMin and levels.xpMax, at most
+// once per levels.cooldownSeconds. Reaching a level listed in
+// levels.roleRewards ({ level: roleId }) hands out that role.
+const LEVELS_FILE = "./data/levels.json";
+const SAVE_INTERVAL = 30000;
+
+let levels = {}; // guildId -> userId -> { xp, level, messages, lastXpAt }
+let lastSave = Date.now();
+let saveTimer = null; // Pending save of changes made since the last one
+
+// An unreadable file is moved aside and the newest backup loaded instead (see
+// lib/safeFile.js), with the same rolling backups as the storage files
+try {
+  levels = readJsonWithRecovery(LEVELS_FILE) || {};
+  log.info(`✅ Loaded XP data for ${Object.keys(levels).length} server(s)`);
+} catch (err) {
+  log.error("❌ Failed to load levels.json", err);
+}
+
+// Saves at most once per SAVE_INTERVAL. Changes made in between, and failed
+// saves, are written by a timer rather than waiting for the next XP award.
+export function saveLevels(force = false) {
+  const wait = lastSave + SAVE_INTERVAL - Date.now();
+  if (!force && wait > 0) {
+    saveTimer ??= setTimeout(() => saveLevels(true), wait).unref();
+    return;
+  }
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  lastSave = Date.now();
+  try {
+    backupFile(LEVELS_FILE, config.storage.backups);
+    writeFileAtomic(LEVELS_FILE, JSON.stringify(levels, null, 2));
+  } catch (err) {
+    log.error("❌ Failed to save levels, trying again shortly", err);
+    saveTimer = setTimeout(() => saveLevels(true), SAVE_INTERVAL).unref();
+  }
+}
+
+// XP needed to go from `level` to the next one
+export function xpToNextLevel(level) {
+  return 5 * level * level + 50 * level + 100;
+}
+
+// Total XP needed to reach `level` from zero
+export function totalXpForLevel(level) {
+  let total = 0;
+  for (let l = 0; l < level; l++) total += xpToNextLevel(l);
+  return total;
+}
+
+function levelForXp(xp) {
+  let level = 0;
+  while (xp >= totalXpForLevel(level + 1)) level++;
+  return level;
+}
+
+export function getUserLevel(guildId, userId) {
+  const entry = levels[guildId]?.[userId] || { xp: 0, level: 0, messages: 0 };
+  const levelStart = totalXpForLevel(entry.level);
+  return {
+    ...entry,
+    current: entry.xp - levelStart, // XP into the current level
+    needed: xpToNextLevel(entry.level),
+  };
+}
+
+// Members sorted by XP, highest first
+export function getLevelRanking(guildId) {
+  return Object.entries(levels[guildId] || {})
+    .map(([userId, entry]) => ({ userId, ...entry }))
+    .sort((a, b) => b.xp - a.xp);
+}
+
+export function getLevelRank(guildId, userId) {
+  const index = getLevelRanking(guildId).findIndex((entry) => entry.userId === userId);
+  return index === -1 ? null : index + 1;
+}
+
+// Returns { xp, level, leveledUp } or null when no XP was granted
+export function awardXp(guildId, userId) {
+  const settings = getGuildConfig(guildId).levels;
+  if (!settings.enabled) return null;
+
+  const guildLevels = (levels[guildId] ||= {});
+  const entry = (guildLevels[userId] ||= { xp: 0, level: 0, messages: 0, lastXpAt: 0 });
+  entry.messages++;
+
+  const now = Date.now();
+  if (now - entry.lastXpAt < settings.cooldownSeconds * 1000) {
+    saveLevels();
+    return null;
+  }
+
+  const min = Math.min(settings.xpMin, settings.xpMax);
+  const max = Math.max(settings.xpMin, settings.xpMax);
+  const gained = min + Math.floor(Math.random() * (max - min + 1));
+
+  const previousLevel = entry.level;
+  entry.xp += gained;
+  entry.level = levelForXp(entry.xp);
+  entry.lastXpAt = now;
+  saveLevels();
+
+  return { xp: gained, level: entry.level, leveledUp: entry.level > previousLevel };
+}
+
+// -------------------- Level Role Rewards --------------------
+// Role rewards for every level up to `level`, lowest first
+function earnedRewards(guildId, level) {
+  const { roleRewards } = getGuildConfig(guildId).levels;
+  return Object.entries(roleRewards)
+    .filter(([rewardLevel, roleId]) => roleId && Number(rewardLevel) <= level)
+    .sort((a, b) => Number(a[0]) - Number(b[0]))
+    .map(([, roleId]) => roleId);
+}
+
+// Give the member the roles for their level. Without stackRewards only the
+// highest earned reward is kept.
+export async function applyLevelRoles(member, level) {
+  const { stackRewards, roleRewards } = getGuildConfig(member.guild.id).levels;
+  const earned = earnedRewards(member.guild.id, level);
+  const keep = stackRewards ? earned : earned.slice(-1);
+
+  for (const roleId of keep) {
+    if (member.roles.cache.has(roleId)) continue;
+    try {
+      await member.roles.add(roleId);
+      log.info(`✅ Gave level ${level} role to ${member.user.tag}`);
+    } catch (err) {
+      log.error(`❌ Failed to give level role to ${member.user.tag}`, err);
+    }
+  }
+
+  if (stackRewards) return;
+  for (const roleId of Object.values(roleRewards)) {
+    if (!roleId || keep.includes(roleId) || !member.roles.cache.has(roleId)) continue;
+    try {
+      await member.roles.remove(roleId);
+      log.info(`✅ Removed old level role from ${member.user.tag}`);
+    } catch (err) {
+      log.error(`❌ Failed to remove level role from ${member.user.tag}`, err);
+    }
+  }
+}
+
+export async function announceLevelUp(msg, level) {
+  const settings = getGuildConfig(msg.guild.id).levels;
+  if (!settings.announceLevelUp) return;
+
+  try {
+    const channel = settings.levelUpChannelId
+      ? await msg.guild.channels.fetch(settings.levelUpChannelId).catch(() => null)
+      : msg.channel;
+    if (!channel) {
+      log.warn(`⚠️ Level-up channel not found in ${msg.guild.name}!`);
+      return;
+    }
+    await channel.send({
+      content: `🎉 ${msg.author} reached **level ${level}**!`,
+      allowedMentions: { users: [msg.author.id] },
+    });
+  } catch (err) {
+    log.error("❌ Failed to announce level up", err);
+  }
+}
@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+
+// -------------------- Logging --------------------
+// Structured log entries ({ id, time, level, source, message, context }) go
+// to the console, to a JSON-lines file rotated by size (config.logging) and
+// to an in-memory ring buffer that backs GET /api/logs. On start the buffer
+// is refilled from the end of the current file, so a restart keeps the
+// recent history.
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const CONSOLE_METHODS = { debug: "log", info: "log", warn: "error", error: "error" };
+
+const settings = config.logging;
+const minLevel = LOG_LEVELS.indexOf(process.env.LOG_LEVEL || settings.level);
+
+const buffer = [];
+const listeners = new Set();
+let nextLogId = 1;
+let fileSize = 0;
+
+// -------------------- Log File & Rotation --------------------
+// bot.log is the live file, bot.log.1 the newest rotated one and so on
+function rotatedFile(index) {
+  return index === 0 ? settings.file : `${settings.file}.${index}`;
+}
+
+function rotateFiles() {
+  try {
+    for (let index = settings.maxFiles - 1; index >= 0; index--) {
+      if (!fs.existsSync(rotatedFile(index))) continue;
+      if (index === settings.maxFiles - 1) fs.unlinkSync(rotatedFile(index));
+      else fs.renameSync(rotatedFile(index), rotatedFile(index + 1));
+    }
+    fileSize = 0;
+  } catch (err) {
+    console.error("❌ Failed to rotate log files:", err);
+  }
+}
+
+function writeToFile(entry) {
+  const line = JSON.stringify(entry) + "\n";
+  try {
+    if (fileSize + Buffer.byteLength(line) > settings.maxFileMB * 1024 * 1024) rotateFiles();
+    fs.appendFileSync(settings.file, line);
+    fileSize += Buffer.byteLength(line);
+  } catch (err) {
+    console.error("❌ Failed to write log file:", err);
+  }
+}
+
+function loadRecentLogs() {
+  try {
+    fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+    if (!fs.existsSync(settings.file)) return;
+
+    const raw = fs.readFileSync(settings.file, "utf8");
+    fileSize = Buffer.byteLength(raw);
+    for (const line of raw.split("\n").slice(-settings.bufferSize - 1)) {
+      if (!line.trim()) continue;
+      try {
+        addToBuffer(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash, the rest of the file is still good
+      }
+    }
+    nextLogId = (buffer[buffer.length - 1]?.id ?? 0) + 1;
+  } catch (err) {
+    console.error("❌ Failed to read recent logs:", err);
+  }
+}
+
+function addToBuffer(entry) {
+  buffer.push(entry);
+  if (buffer.length > settings.bufferSize) buffer.shift();
+}
+
+loadRecentLogs();
+
+// -------------------- Writing Entries --------------------
+// context is an Error, or an object of details that may hold one under `error`
+function serializeContext(context) {
+  if (context === undefined || context === null) return null;
+  if (context instanceof Error) return { error: { message: context.message, stack: context.stack } };
+  if (typeof context !== "object") return { value: context };
+
+  const serialized = { ...context };
+  if (serialized.error instanceof Error) {
+    serialized.error = { message: serialized.error.message, stack: serialized.error.stack };
+  }
+  return serialized;
+}
+
+function writeEntry(level, source, message, context) {
+  if (LOG_LEVELS.indexOf(level) < minLevel) return null;
+
+  const entry = {
+    id: nextLogId++,
+    time: new Date().toISOString(),
+    level,
+    source,
+    message,
+    context: serializeContext(context),
+  };
+
+  const consoleArgs = [`[${source}] ${message}`];
+  if (context !== undefined && context !== null) consoleArgs.push(context);
+  console[CONSOLE_METHODS[level]](...consoleArgs);
+
+  writeToFile(entry);
+  addToBuffer(entry);
+  for (const listener of listeners) {
+    try {
+      listener(entry);
+    } catch (err) {
+      console.error("❌ Log listener failed:", err);
+    }
+  }
+  return entry;
+}
+
+// A logger whose entries are tagged with `source`, e.g. createLogger("leaderboard")
+export function createLogger(source) {
+  return Object.fromEntries(
+    LOG_LEVELS.map((level) => [level, (message, context) => writeEntry(level, source, message, context)])
+  );
+}
+
+// Called with every new entry; returns a function that stops listening
+export function onLog(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// -------------------- Reading Entries --------------------
+// A predicate for entries matching the filters, throwing on invalid ones.
+// level is the minimum level; search matches the source, message and context.
+export function logFilter({ level, source, search, from, to } = {}) {
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw new Error("from and to must be dates, e.g. 2024-05-01T12:00");
+  if (level && !LOG_LEVELS.includes(level)) throw new Error(`Unknown level. Use one of: ${LOG_LEVELS.join(", ")}`);
+
+  const levelIndex = level ? LOG_LEVELS.indexOf(level) : 0;
+  const searchText = search?.toLowerCase();
+  return (entry) => {
+    const time = Date.parse(entry.time);
+    return (
+      LOG_LEVELS.indexOf(entry.level) >= levelIndex &&
+      (!source || entry.source === source) &&
+      (fromTime === null || time >= fromTime) &&
+      (toTime === null || time <= toTime) &&
+      (!searchText ||
+        `${entry.source} ${entry.message} ${entry.context ? JSON.stringify(entry.context) : ""}`.toLowerCase().includes(searchText))
+    );
+  };
+}
+
+// Buffered entries matching the filters, newest first
+export function queryLogs(filters) {
+  return buffer.filter(logFilter(filters)).reverse();
+}
+
+// Sources seen in the buffer, for the dashboard's filter
+export function listLogSources() {
+  return [...new Set(buffer.map((entry) => entry.source))].sort();
+}
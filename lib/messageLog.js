@@ -0,0 +1,136 @@
+import { AttachmentBuilder, EmbedBuilder } from "discord.js";
+import { logAction } from "./client.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { wasRemovedByAutomod } from "./automod.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("messagelog");
+
+// -------------------- Message Logs --------------------
+// Edited and deleted messages are posted to the logs channel, following the
+// server's `messageLogs` setting (see config.guildDefaults):
+//   edits, deletes, bulkDeletes - which events are logged
+//   ignoredChannels             - channels (and their threads) never logged
+// Bot messages are only logged as part of a bulk delete, messages removed by
+// automod only in its own log entry, and the logs channel itself is always
+// ignored. Messages sent before the bot started aren't
+// cached, so their content (and often their author) is unknown.
+const FIELD_LIMIT = 1024; // Discord's embed field limit
+
+function truncate(text, limit = FIELD_LIMIT) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// The server's settings when `event` should be logged for this channel
+function shouldLog(guild, channel, event) {
+  const settings = getGuildConfig(guild.id);
+  const { ignoredChannels, [event]: enabled } = settings.messageLogs;
+  if (!enabled || !settings.logsChannelId) return false;
+  return ![channel.id, channel.parentId].some((id) => id && (id === settings.logsChannelId || ignoredChannels.includes(id)));
+}
+
+function contentField(name, message) {
+  if (message.partial) return { name, value: "*Unknown, the message was sent before the bot started*", inline: false };
+  return { name, value: message.content ? truncate(message.content) : "*No text*", inline: false };
+}
+
+function attachmentList(message) {
+  return message.attachments.map((file) => `[${file.name}](${file.url})`).join("\n");
+}
+
+function authorField(message) {
+  const value = message.author ? `${message.author.tag} (${message.author.id})` : "Unknown";
+  return { name: "Author", value, inline: true };
+}
+
+export async function handleMessageUpdate(oldMessage, newMessage) {
+  if (!newMessage.guild || !shouldLog(newMessage.guild, newMessage.channel, "edits")) return;
+
+  if (newMessage.partial) {
+    try {
+      newMessage = await newMessage.fetch();
+    } catch {
+      return; // Deleted again before we got to it
+    }
+  }
+  if (newMessage.author.bot) return;
+  // Link previews and pins fire updates too, without changing the text
+  if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle("✏️ Message Edited")
+    .setColor("Yellow")
+    .setURL(newMessage.url)
+    .addFields(
+      authorField(newMessage),
+      { name: "Channel", value: `<#${newMessage.channelId}>`, inline: true },
+      contentField("Before", oldMessage),
+      contentField("After", newMessage)
+    )
+    .setFooter({ text: `Message ID: ${newMessage.id}` })
+    .setTimestamp();
+  await logAction(newMessage.guild.id, embed);
+}
+
+export async function handleMessageDelete(message) {
+  if (wasRemovedByAutomod(message.id)) return;
+  if (!message.guild || !shouldLog(message.guild, message.channel, "deletes")) return;
+  if (message.author?.bot) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle("🗑️ Message Deleted")
+    .setColor("Red")
+    .addFields(
+      authorField(message),
+      { name: "Channel", value: `<#${message.channelId}>`, inline: true },
+      contentField("Content", message)
+    )
+    .setFooter({ text: `Message ID: ${message.id}` })
+    .setTimestamp();
+  const attachments = message.partial ? "" : attachmentList(message);
+  if (attachments) embed.addFields({ name: "Attachments", value: truncate(attachments), inline: false });
+  await logAction(message.guild.id, embed);
+}
+
+// Plain text, oldest message first
+export function buildTranscript(messages, channel) {
+  const sorted = [...messages.values()].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+  const lines = [
+    `#${channel.name} (${channel.id}) in ${channel.guild.name}`,
+    `${sorted.length} message(s) deleted ${new Date().toISOString()}`,
+    "",
+  ];
+  for (const message of sorted) {
+    const author = message.author ? `${message.author.tag} (${message.author.id})` : "Unknown author";
+    const content = message.partial ? "[not cached, content unknown]" : message.content;
+    lines.push(`[${new Date(message.createdTimestamp).toISOString()}] ${author}: ${content}`);
+    if (!message.partial) {
+      for (const file of message.attachments.values()) lines.push(`    Attachment: ${file.name} ${file.url}`);
+      for (const embed of message.embeds) lines.push(`    Embed: ${embed.title || embed.description || embed.url || "(no text)"}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Covers !clear as well as purges by other bots
+export async function handleMessageDeleteBulk(messages, channel) {
+  if (!channel.guild || !shouldLog(channel.guild, channel, "bulkDeletes")) return;
+
+  const authors = new Set(messages.filter((message) => message.author).map((message) => message.author.id));
+  const embed = new EmbedBuilder()
+    .setTitle("🧹 Messages Bulk Deleted")
+    .setColor("DarkRed")
+    .addFields(
+      { name: "Channel", value: `<#${channel.id}>`, inline: true },
+      { name: "Messages", value: String(messages.size), inline: true },
+      { name: "Authors", value: String(authors.size), inline: true }
+    )
+    .setFooter({ text: "Full transcript attached" })
+    .setTimestamp();
+  const transcript = new AttachmentBuilder(Buffer.from(buildTranscript(messages, channel), "utf8"), {
+    name: `deleted-${channel.name}-${Date.now()}.txt`,
+  });
+
+  log.info(`🧹 ${messages.size} message(s) bulk deleted in #${channel.name} (${channel.guild.name})`);
+  await logAction(channel.guild.id, embed, { files: [transcript] });
+}
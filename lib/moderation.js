@@ -0,0 +1,436 @@
+import { EmbedBuilder } from "discord.js";
+import { client, logAction } from "./client.js";
+import { createCase, resolveCase, findActiveCase, listCases, listExpiredCases } from "./cases.js";
+import { parseDuration, MAX_DURATION } from "./durations.js";
+import config from "./config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("moderation");
+
+export const MAX_TIMEOUT = 28 * 24 * 60 * 60 * 1000; // Discord's timeout limit (28 days)
+
+// Post a moderation embed to the logs channel, tagged with its case number
+export function logCase(record, { title, color, fields }) {
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .addFields(...fields)
+    .setFooter({ text: `Case #${record.id}` })
+    .setTimestamp();
+  return logAction(record.guildId, embed);
+}
+
+// Log embed for a case created by one of the helpers below. Commands and the
+// dashboard both use it, so an action looks the same whoever started it.
+const CASE_LOG_STYLES = {
+  kick: { title: "👢 User Kicked", color: "Orange" },
+  ban: { title: "🔨 User Banned", color: "Red" },
+  timeout: { title: "⏲️ User Timed Out", color: "Yellow" },
+  mute: { title: "🔇 User Muted", color: "Grey" },
+  unmute: { title: "🔊 User Unmuted", color: "Green" },
+  unban: { title: "✅ User Unbanned", color: "Green" },
+  untimeout: { title: "✅ Timeout Removed", color: "Green" },
+  clear: { title: "🗑️ Messages Cleared", color: "Blue" },
+};
+
+export function logModerationCase(record, { durationText = null } = {}) {
+  const fields = [];
+  if (record.action === "clear") {
+    fields.push(
+      { name: "Channel", value: `<#${record.details.channelId}>`, inline: true },
+      { name: "Amount", value: String(record.details.amount), inline: true }
+    );
+  } else if (record.targetTag) {
+    fields.push({ name: "User", value: `${record.targetTag} (${record.targetId})`, inline: true });
+  } else {
+    fields.push({ name: "User ID", value: record.targetId, inline: true });
+  }
+  fields.push({ name: "Moderator", value: record.moderatorTag, inline: true });
+  if (durationText) fields.push({ name: "Duration", value: durationText, inline: true });
+  if (record.action === "mute") fields.push({ name: "Roles Removed", value: `${record.roles.length} role(s)`, inline: true });
+  if (record.action === "unmute") fields.push({ name: "Roles Restored", value: `${record.roles.length} role(s)`, inline: true });
+  if (record.reason && ["kick", "ban", "timeout", "mute"].includes(record.action)) {
+    fields.push({ name: "Reason", value: record.reason, inline: false });
+  }
+
+  return logCase(record, { ...CASE_LOG_STYLES[record.action], fields });
+}
+
+export function logWarningDeleted(warning, moderatorTag) {
+  return logCase(warning, {
+    title: "🗑️ Warning Deleted",
+    color: "Green",
+    fields: [
+      { name: "User", value: `${warning.targetTag} (${warning.targetId})`, inline: true },
+      { name: "Moderator", value: moderatorTag, inline: true },
+      { name: "Original Reason", value: warning.reason, inline: false }
+    ],
+  });
+}
+
+// Discord's own audit log only ever shows the bot, so actions taken from the
+// dashboard name the dashboard user in the reason Discord records
+function auditLogReason(reason, moderatorTag, source) {
+  const text = source === "dashboard" ? `${reason || "No reason provided"} | by ${moderatorTag}` : reason;
+  return text?.slice(0, 512);
+}
+
+// -------------------- Moderation Helpers --------------------
+// Shared by the commands, the dashboard API and the expiry scheduler
+
+// Worked out before any Discord call, so a bad duration can't leave a member
+// banned or stripped of their roles without a case to undo it
+function expiresAtFor(durationMs) {
+  if (!durationMs) return null;
+  if (!Number.isFinite(durationMs) || durationMs < 0 || durationMs > MAX_DURATION) {
+    throw new Error(`Durations can be at most ${MAX_DURATION / (24 * 60 * 60 * 1000)} days`);
+  }
+  return new Date(Date.now() + durationMs).toISOString();
+}
+
+export async function ensureMuteRole(guild) {
+  let muteRole = guild.roles.cache.find((r) => r.name === "Muted");
+  if (muteRole) return { muteRole, created: false };
+
+  muteRole = await guild.roles.create({
+    name: "Muted",
+    color: "Grey",
+    permissions: [],
+  });
+
+  const channels = guild.channels.cache;
+  for (const [, channel] of channels) {
+    try {
+      await channel.permissionOverwrites.edit(muteRole, {
+        SendMessages: false,
+        Speak: false,
+        AddReactions: false,
+      });
+    } catch (err) {
+      log.error(`❌ Failed to set permissions for channel ${channel.name}`, err);
+    }
+  }
+  return { muteRole, created: true };
+}
+
+export async function kickMember(guild, member, { moderatorId = null, moderatorTag, reason, source = "discord" }) {
+  await member.kick(auditLogReason(reason, moderatorTag, source));
+  return createCase({
+    action: "kick",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    source,
+  });
+}
+
+export async function banMember(guild, member, { moderatorId = null, moderatorTag, reason, durationMs = null, source = "discord" }) {
+  const expiresAt = expiresAtFor(durationMs);
+  await member.ban({ reason: auditLogReason(reason, moderatorTag, source) });
+  return createCase({
+    action: "ban",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    source,
+    expiresAt,
+  });
+}
+
+export async function timeoutMember(guild, member, { moderatorId = null, moderatorTag, reason, durationMs, source = "discord" }) {
+  const expiresAt = expiresAtFor(durationMs);
+  await member.timeout(durationMs, auditLogReason(reason, moderatorTag, source));
+  return createCase({
+    action: "timeout",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    details: { minutes: durationMs / 60000 },
+    source,
+    expiresAt,
+  });
+}
+
+export async function muteMember(guild, member, { moderatorId = null, moderatorTag, reason, durationMs = null, source = "discord" }) {
+  const expiresAt = expiresAtFor(durationMs);
+  const { muteRole, created } = await ensureMuteRole(guild);
+
+  // Store user's current roles (excluding @everyone)
+  const userRoles = member.roles.cache
+    .filter(role => role.id !== guild.id)
+    .map(role => role.id);
+
+  // Remove all roles except @everyone and add mute role
+  await member.roles.set([muteRole.id], auditLogReason(reason, moderatorTag, source));
+
+  const record = createCase({
+    action: "mute",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    roles: userRoles,
+    source,
+    expiresAt,
+  });
+  return { record, created };
+}
+
+export async function unmuteMember(guild, member, muteCase, { moderatorId = null, moderatorTag, source = "discord" }) {
+  const muteRole = guild.roles.cache.find((r) => r.name === "Muted");
+
+  const validRoles = (muteCase.roles || []).filter(roleId => {
+    const role = guild.roles.cache.get(roleId);
+    return role && (!muteRole || role.id !== muteRole.id);
+  });
+
+  await member.roles.set(validRoles, auditLogReason("Unmuted", moderatorTag, source));
+
+  const record = createCase({
+    action: "unmute",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    roles: validRoles,
+    source,
+  });
+  resolveCase(muteCase.id, { resolvedBy: moderatorTag, resolvedCaseId: record.id });
+  return record;
+}
+
+export async function unbanUser(guild, userId, { moderatorId = null, moderatorTag, source = "discord" }) {
+  await guild.members.unban(userId, auditLogReason("Unbanned", moderatorTag, source));
+  const record = createCase({
+    action: "unban",
+    guildId: guild.id,
+    targetId: userId,
+    moderatorId,
+    moderatorTag,
+    source,
+  });
+  const banCase = findActiveCase(guild.id, userId, "ban");
+  if (banCase) resolveCase(banCase.id, { resolvedBy: moderatorTag, resolvedCaseId: record.id });
+  return record;
+}
+
+export async function untimeoutMember(guild, member, { moderatorId = null, moderatorTag, source = "discord" }) {
+  await member.timeout(null, auditLogReason("Timeout removed", moderatorTag, source));
+  const record = createCase({
+    action: "untimeout",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    source,
+  });
+  const timeoutCase = findActiveCase(guild.id, member.id, "timeout");
+  if (timeoutCase) resolveCase(timeoutCase.id, { resolvedBy: moderatorTag, resolvedCaseId: record.id });
+  return record;
+}
+
+export async function clearMessages(channel, amount, { moderatorId = null, moderatorTag, source = "discord" }) {
+  await channel.bulkDelete(amount, true);
+  return createCase({
+    action: "clear",
+    guildId: channel.guild.id,
+    moderatorId,
+    moderatorTag,
+    details: { channelId: channel.id, amount },
+    source,
+  });
+}
+
+// -------------------- Warnings & Escalation --------------------
+// Escalation rules come from config.moderation.escalation, e.g.
+// { "warnings": 3, "within": "7d", "action": "timeout", "duration": "1h" }.
+// A rule fires when the active warning count (inside its window, if any)
+// reaches exactly its threshold, so it triggers once per crossing.
+const ESCALATION_MODERATOR = "Warning escalation";
+
+export function countWarnings(guildId, userId, withinMs = null) {
+  const now = Date.now();
+  return listCases({ guildId, targetId: userId, action: "warn", active: true })
+    .filter((w) => !withinMs || now - Date.parse(w.createdAt) <= withinMs)
+    .length;
+}
+
+function findEscalationRule(guildId, userId) {
+  const rules = [...(config.moderation?.escalation || [])].sort((a, b) => b.warnings - a.warnings);
+  for (const rule of rules) {
+    const count = countWarnings(guildId, userId, rule.within ? parseDuration(rule.within) : null);
+    if (count === rule.warnings) return { rule, count };
+  }
+  return null;
+}
+
+async function applyEscalation(guild, member) {
+  const match = findEscalationRule(guild.id, member.id);
+  if (!match) return null;
+
+  const { rule, count } = match;
+  const reason = `Automatic escalation: ${count} warning(s)${rule.within ? ` within ${rule.within}` : ""}`;
+  const options = {
+    moderatorTag: ESCALATION_MODERATOR,
+    reason,
+    durationMs: rule.duration ? parseDuration(rule.duration) : null,
+    source: "escalation",
+  };
+
+  let record;
+  try {
+    switch (rule.action) {
+      case "timeout":
+        record = await timeoutMember(guild, member, {
+          ...options,
+          durationMs: Math.min(options.durationMs || 10 * 60 * 1000, MAX_TIMEOUT),
+        });
+        break;
+      case "mute":
+        if (findActiveCase(guild.id, member.id, "mute")) return null;
+        ({ record } = await muteMember(guild, member, options));
+        break;
+      case "kick":
+        record = await kickMember(guild, member, options);
+        break;
+      case "ban":
+        record = await banMember(guild, member, options);
+        break;
+      default:
+        log.warn(`⚠️ Unknown escalation action "${rule.action}"`);
+        return null;
+    }
+  } catch (err) {
+    log.error(`❌ Failed to escalate warnings for ${member.user.tag}`, err);
+    return null;
+  }
+
+  logCase(record, {
+    title: "🚨 Warning Escalation",
+    color: "DarkRed",
+    fields: [
+      { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
+      { name: "Action", value: rule.action + (rule.duration ? ` (${rule.duration})` : ""), inline: true },
+      { name: "Warnings", value: `${count}${rule.within ? ` in ${rule.within}` : ""}`, inline: true }
+    ],
+  });
+
+  return record;
+}
+
+export async function warnMember(guild, member, { moderatorId = null, moderatorTag, reason, source = "discord" }) {
+  const record = createCase({
+    action: "warn",
+    guildId: guild.id,
+    targetId: member.id,
+    targetTag: member.user.tag,
+    moderatorId,
+    moderatorTag,
+    reason,
+    source,
+  });
+  const warnings = countWarnings(guild.id, member.id);
+
+  logCase(record, {
+    title: "⚠️ User Warned",
+    color: "Yellow",
+    fields: [
+      { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
+      { name: "Moderator", value: moderatorTag, inline: true },
+      { name: "Active Warnings", value: warnings.toString(), inline: true },
+      { name: "Reason", value: reason, inline: false }
+    ],
+  });
+
+  const escalation = await applyEscalation(guild, member);
+  return { record, warnings, escalation };
+}
+
+// -------------------- Expiry Scheduler --------------------
+// Expiry times live on the cases themselves, so pending unmutes and unbans are
+// picked up again after a restart by the same sweep.
+const EXPIRY_MODERATOR = "Automatic expiry";
+let expirySweepRunning = false;
+
+export async function processExpiredCases() {
+  if (!client.isReady() || expirySweepRunning) return;
+  expirySweepRunning = true;
+
+  // The flag must clear even if listing the cases fails, or no sweep runs again
+  try {
+    for (const expired of listExpiredCases()) {
+      try {
+        // Discord lifts timeouts on its own, the case only needs closing
+        if (expired.action === "timeout") {
+          resolveCase(expired.id, { resolvedBy: EXPIRY_MODERATOR });
+          continue;
+        }
+
+        const guild = client.guilds.cache.get(expired.guildId);
+        if (!guild) continue;
+
+        if (expired.action === "mute") {
+          const member = await guild.members.fetch(expired.targetId).catch(() => null);
+          if (!member) {
+            // Member left the server; nothing left to restore
+            resolveCase(expired.id, { resolvedBy: EXPIRY_MODERATOR });
+            continue;
+          }
+          const record = await unmuteMember(guild, member, expired, { moderatorTag: EXPIRY_MODERATOR, source: "scheduler" });
+
+          logCase(record, {
+            title: "🔊 Mute Expired",
+            color: "Green",
+            fields: [
+              { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
+              { name: "Original Case", value: `#${expired.id}`, inline: true },
+              { name: "Roles Restored", value: `${record.roles.length} role(s)`, inline: true }
+            ],
+          });
+        }
+
+        if (expired.action === "ban") {
+          // 10026 = Unknown Ban: someone already unbanned them by hand
+          await guild.members.unban(expired.targetId, "Temporary ban expired").catch((err) => {
+            if (err.code !== 10026) throw err;
+          });
+          const record = createCase({
+            action: "unban",
+            guildId: guild.id,
+            targetId: expired.targetId,
+            targetTag: expired.targetTag,
+            moderatorTag: EXPIRY_MODERATOR,
+            source: "scheduler",
+          });
+          resolveCase(expired.id, { resolvedBy: EXPIRY_MODERATOR, resolvedCaseId: record.id });
+
+          logCase(record, {
+            title: "✅ Temporary Ban Expired",
+            color: "Green",
+            fields: [
+              { name: "User", value: `${expired.targetTag || "Unknown"} (${expired.targetId})`, inline: true },
+              { name: "Original Case", value: `#${expired.id}`, inline: true }
+            ],
+          });
+        }
+      } catch (err) {
+        log.error(`❌ Failed to lift expired case #${expired.id}`, err);
+      }
+    }
+  } finally {
+    expirySweepRunning = false;
+  }
+}
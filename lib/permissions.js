@@ -0,0 +1,57 @@
+import config from "./config.js";
+
+// -------------------- Dashboard Roles --------------------
+// Every protected API route needs one capability. Roles are ordered: each one
+// has its own capabilities plus everything the roles before it have.
+//
+// Local accounts have one role for every server. Discord users get a role per
+// server from their permissions there (config.dashboard.discordRoles), looked
+// up on every request so permission changes apply straight away.
+export const ROLES = ["viewer", "moderator", "admin"];
+
+const ROLE_CAPABILITIES = {
+  viewer: ["config.view", "stats.view", "members.view", "moderation.view"],
+  moderator: ["moderation.act", "audit.view"],
+  admin: ["config.edit", "leaderboard.manage", "announcements.send", "accounts.manage", "logs.view"],
+};
+
+// Shown in 403 responses: "Your role can't <description>"
+const CAPABILITY_DESCRIPTIONS = {
+  "config.view": "view server settings",
+  "stats.view": "view server statistics",
+  "members.view": "list server members",
+  "moderation.view": "view warnings",
+  "moderation.act": "take moderation actions",
+  "audit.view": "view the dashboard audit trail",
+  "config.edit": "change server settings",
+  "leaderboard.manage": "post or reset leaderboards",
+  "announcements.send": "send announcements",
+  "accounts.manage": "manage dashboard accounts",
+  "logs.view": "read the bot logs",
+};
+
+export function roleCapabilities(role) {
+  const index = ROLES.indexOf(role);
+  return index === -1 ? [] : ROLES.slice(0, index + 1).flatMap((r) => ROLE_CAPABILITIES[r]);
+}
+
+export function describeCapability(capability) {
+  return CAPABILITY_DESCRIPTIONS[capability] || capability;
+}
+
+// Lowest role that has the capability
+export function requiredRole(capability) {
+  return ROLES.find((role) => ROLE_CAPABILITIES[role].includes(capability)) || null;
+}
+
+function highestRole(roles) {
+  return roles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best), null);
+}
+
+// A guild member's dashboard role from their Discord permissions, or null
+export function getDiscordRole(member) {
+  const roles = Object.entries(config.dashboard.discordRoles)
+    .filter(([permission]) => member.permissions.has(permission))
+    .map(([, role]) => role);
+  return highestRole(roles);
+}
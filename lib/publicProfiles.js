@@ -0,0 +1,40 @@
+import { createLogger } from "./logger.js";
+import { writeFileAtomic, readJsonWithRecovery } from "./safeFile.js";
+
+const log = createLogger("profiles");
+
+// -------------------- Public Profiles --------------------
+// Members who agreed (with the publicprofile command) to have their display
+// name and avatar shown on the public leaderboard. Everyone else appears
+// there anonymously.
+const PROFILES_FILE = "./data/public-profiles.json";
+
+let optIns = {}; // guildId -> [userId]
+
+// An unreadable file is moved aside rather than overwritten by the next save
+// (see lib/safeFile.js)
+try {
+  optIns = readJsonWithRecovery(PROFILES_FILE) || {};
+} catch (err) {
+  log.error("❌ Failed to load public profiles, everyone is anonymous.", err);
+}
+
+function saveProfiles() {
+  try {
+    writeFileAtomic(PROFILES_FILE, JSON.stringify(optIns, null, 2));
+  } catch (err) {
+    log.error("❌ Failed to save public profiles", err);
+  }
+}
+
+export function isPublicProfile(guildId, userId) {
+  return (optIns[guildId] || []).includes(userId);
+}
+
+export function setPublicProfile(guildId, userId, visible) {
+  const users = new Set(optIns[guildId] || []);
+  if (visible) users.add(userId);
+  else users.delete(userId);
+  optIns[guildId] = [...users];
+  saveProfiles();
+}
@@ -0,0 +1,49 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger("api");
+
+// -------------------- Rate Limiting --------------------
+// Fixed-window request counters kept in memory, per limiter and client IP.
+// Behind a reverse proxy, set config.dashboard.trustProxy so req.ip is the
+// visitor's address rather than the proxy's.
+const SWEEP_INTERVAL = 60 * 1000;
+
+const limiters = [];
+
+// Express middleware allowing `max` requests per `windowSeconds`
+export function rateLimit({ name, windowSeconds, max }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+  limiters.push(hits);
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+      hits.set(req.ip, entry);
+    }
+    entry.count++;
+
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - entry.count)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (entry.count > max) {
+      if (entry.count === max + 1) log.warn(`⚠️ Rate limit (${name}) hit`, { ip: req.ip, path: req.originalUrl });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ success: false, error: `Too many requests, try again in ${retryAfter}s` });
+    }
+    next();
+  };
+}
+
+// Forget windows that have ended so the maps don't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const hits of limiters) {
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }
+}, SWEEP_INTERVAL).unref();
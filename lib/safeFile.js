@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("storage");
+
+// -------------------- Crash-Safe Files --------------------
+// Writes go to a temporary file next to the target, are flushed to disk and
+// then renamed over it. A rename is atomic, so after a crash or kill the file
+// holds either the old or the new contents, never a truncated mix.
+// `mode` sets the file's permissions, e.g. 0o600 for secrets.
+const BACKUP_DIR = "./data/backups";
+
+// 2024-05-01T12-00-00-000Z: sorts by time and is safe in file names
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+export function writeFileAtomic(file, contents, { mode } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, "w", mode);
+  try {
+    // A temporary file left by a crash keeps its old permissions otherwise
+    if (mode !== undefined) fs.fchmodSync(fd, mode);
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// -------------------- Rolling Backups --------------------
+// Copies of a file in data/backups named <file name>.<timestamp>, newest first
+export function listBackups(file) {
+  const prefix = `${path.basename(file)}.`;
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter((name) => name.startsWith(prefix))
+    .sort()
+    .reverse()
+    .map((name) => path.join(BACKUP_DIR, name));
+}
+
+// Copy the file into the backups unless the newest one is less than
+// intervalMinutes old, then drop all but the newest `keep`
+export function backupFile(file, { keep, intervalMinutes }) {
+  if (!fs.existsSync(file) || keep <= 0) return;
+  try {
+    const [newest] = listBackups(file);
+    if (newest && Date.now() - fs.statSync(newest).mtimeMs < intervalMinutes * 60 * 1000) return;
+
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    fs.copyFileSync(file, path.join(BACKUP_DIR, `${path.basename(file)}.${timestamp()}`));
+    for (const old of listBackups(file).slice(keep)) fs.unlinkSync(old);
+  } catch (err) {
+    log.error(`❌ Failed to back up ${file}`, err);
+  }
+}
+
+// -------------------- Recovery --------------------
+function parseJsonFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  if (!raw.trim()) throw new Error("File is empty");
+  return JSON.parse(raw);
+}
+
+// The parsed file, or null when it doesn't exist. A file that can't be read
+// is moved aside to <file>.corrupt-<timestamp> (never deleted) and the newest
+// backup that parses is used instead; null when there is none.
+export function readJsonWithRecovery(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return parseJsonFile(file);
+  } catch (err) {
+    const corruptFile = `${file}.corrupt-${timestamp()}`;
+    try {
+      fs.renameSync(file, corruptFile);
+      log.error(`❌ ${file} is unreadable, moved it to ${corruptFile}`, err);
+    } catch (renameErr) {
+      log.error(`❌ ${file} is unreadable and could not be moved aside`, { error: err, renameError: renameErr.message });
+    }
+
+    for (const backup of listBackups(file)) {
+      try {
+        const data = parseJsonFile(backup);
+        log.warn(`⚠️ Recovered ${file} from ${backup}`);
+        return data;
+      } catch {
+        log.warn(`⚠️ Backup ${backup} is unreadable too, trying an older one`);
+      }
+    }
+    log.error(`❌ No usable backup of ${file}, starting fresh`);
+    return null;
+  }
+}
@@ -0,0 +1,134 @@
+import config from "./config.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("storage");
+
+// -------------------- Storage --------------------
+// Long-lived bot state is stored as JSON values by key, in namespaces:
+//   leaderboard - guildId -> { period: { userId: count } }
+//   guilds      - guildId -> settings changed from config.guildDefaults
+//   cases       - case id -> moderation case (including a mute's stored roles)
+//   cooldowns   - "guildId-userId-command" -> when the command was last used
+//   analytics   - "guildId:YYYY-MM-DD" -> that day's activity (see lib/analytics.js)
+//
+// config.storage.adapter picks where they live: "json" (files, the default),
+// "sqlite" or "redis". Every namespace is loaded into memory when this module
+// is first imported, so reads are synchronous; writes update memory at once
+// and reach the adapter in order in the background.
+//
+// An adapter is an object with:
+//   load(namespace)           - { key: value } for everything stored
+//   write(namespace, changes) - [[key, json]] pairs, json null to delete
+//   close()                   - finish pending work and disconnect
+export const NAMESPACES = ["leaderboard", "guilds", "cases", "cooldowns", "analytics"];
+
+// Not covered by storage: these modules keep their own files under data/
+// whatever the adapter, so a bot moved to another host needs them copied along
+export const LOCAL_FILES = {
+  "./data/levels.json": "XP and levels (lib/levels.js)",
+  "./data/leaderboard-history.jsonl": "archived leaderboard periods (lib/leaderboardHistory.js)",
+  "./data/suggestions.jsonl": "suggestions (lib/suggestions.js)",
+  "./data/audit.jsonl": "dashboard audit log (lib/audit.js)",
+  "./data/accounts.json": "dashboard accounts (lib/auth.js)",
+  "./data/sessions.json": "dashboard sessions (lib/auth.js)",
+  "./data/session-secret": "session signing secret (lib/auth.js)",
+  "./data/public-profiles.json": "public profile settings (lib/publicProfiles.js)",
+};
+
+const ADAPTERS = {
+  json: { module: "./storage/json.js", open: "openJsonStorage" },
+  sqlite: { module: "./storage/sqlite.js", open: "openSqliteStorage" },
+  redis: { module: "./storage/redis.js", open: "openRedisStorage" },
+};
+
+export async function openAdapter(name) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown storage adapter "${name}". Use one of: ${Object.keys(ADAPTERS).join(", ")}`);
+  }
+  const module = await import(adapter.module);
+  return module[adapter.open](config.storage[name]);
+}
+
+const adapterName = config.storage.adapter;
+const adapter = await openAdapter(adapterName);
+const cache = new Map(); // namespace -> Map(key -> value)
+
+for (const namespace of NAMESPACES) {
+  cache.set(namespace, new Map(Object.entries(await adapter.load(namespace))));
+}
+log.info(`✅ Storage ready (${adapterName})`);
+
+// Writes are serialized when queued, so later changes to the same object
+// can't leak into an earlier write
+let queue = Promise.resolve();
+
+function enqueueWrite(namespace, changes) {
+  if (changes.length === 0) return;
+  queue = queue
+    .then(() => adapter.write(namespace, changes))
+    .catch((err) => log.error(`❌ Failed to write ${namespace} to ${adapterName} storage`, err));
+}
+
+function namespaceCache(namespace) {
+  const values = cache.get(namespace);
+  if (!values) throw new Error(`Unknown storage namespace "${namespace}"`);
+  return values;
+}
+
+export function getStorageAdapter() {
+  return adapterName;
+}
+
+// Everything in a namespace as { key: value }
+export function getAll(namespace) {
+  return Object.fromEntries(namespaceCache(namespace));
+}
+
+export function getValue(namespace, key) {
+  return namespaceCache(namespace).get(String(key)) ?? null;
+}
+
+export function setValue(namespace, key, value) {
+  namespaceCache(namespace).set(String(key), value);
+  enqueueWrite(namespace, [[String(key), JSON.stringify(value)]]);
+}
+
+export function deleteValue(namespace, key) {
+  if (!namespaceCache(namespace).delete(String(key))) return;
+  enqueueWrite(namespace, [[String(key), null]]);
+}
+
+// Set several keys in one write; a null value deletes its key
+export function setValues(namespace, entries) {
+  const values = namespaceCache(namespace);
+  const changes = [];
+  for (const [key, value] of Object.entries(entries)) {
+    if (value === null) {
+      if (values.delete(key)) changes.push([key, null]);
+    } else {
+      values.set(key, value);
+      changes.push([key, JSON.stringify(value)]);
+    }
+  }
+  enqueueWrite(namespace, changes);
+}
+
+// Make the namespace hold exactly `entries` ({ key: value }) in one write
+export function replaceAll(namespace, entries) {
+  const values = namespaceCache(namespace);
+  const changes = Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]);
+  for (const key of values.keys()) {
+    if (!(key in entries)) changes.push([key, null]);
+  }
+
+  values.clear();
+  for (const [key, value] of Object.entries(entries)) values.set(key, value);
+  enqueueWrite(namespace, changes);
+}
+
+// Wait for queued writes and disconnect; call before the process exits
+export async function closeStorage() {
+  await queue;
+  await adapter.close();
+}
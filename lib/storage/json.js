@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import config from "../config.js";
+import { createLogger } from "../logger.js";
+import { writeFileAtomic, backupFile, readJsonWithRecovery } from "../safeFile.js";
+
+const log = createLogger("storage");
+
+// -------------------- JSON File Storage --------------------
+// One file per namespace (config.storage.json.files). A .json file holds the
+// whole namespace as one object and is rewritten atomically on every change,
+// with rolling backups (config.storage.backups). A .jsonl file is a journal:
+// every change appends the value, which must have an `id`, and the last line
+// for an id wins on load. Journals suit records that are added far more often
+// than the rest of the namespace changes and are never deleted, like
+// moderation cases. A path ending in "/" is a directory with one file per key,
+// and only the keys that changed are rewritten. That suits namespaces with
+// many values of which only a few change at a time, like the analytics days.
+// Directories have no backups, but every file in them is written atomically.
+
+// Cooldowns are over within minutes, there's nothing worth restoring
+const NO_BACKUPS = ["cooldowns"];
+
+function isJournal(file) {
+  return file.endsWith(".jsonl");
+}
+
+function loadJournal(file) {
+  const values = {};
+  if (!fs.existsSync(file)) return values;
+
+  let lines = 0;
+  const raw = fs.readFileSync(file, "utf8");
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const value = JSON.parse(line);
+      values[value.id] = value;
+    } catch {
+      log.warn(`⚠️ Skipping corrupt journal entry in ${file}: ${line.slice(0, 80)}`);
+    }
+  }
+
+  // Compact the journal once it holds mostly superseded values
+  const count = Object.keys(values).length;
+  if (lines > count * 2) {
+    try {
+      writeFileAtomic(file, Object.values(values).map((value) => JSON.stringify(value)).join("\n") + "\n");
+    } catch (err) {
+      log.error(`❌ Failed to compact ${file}`, err);
+    }
+  }
+  return values;
+}
+
+function isDirectory(file) {
+  return file.endsWith("/");
+}
+
+function keyFile(dir, key) {
+  return path.join(dir, `${encodeURIComponent(key)}.json`);
+}
+
+// A namespace moved from one .json file to a directory keeps its values: the
+// old file is split up once and renamed to <file>.migrated
+function importLegacyFile(dir) {
+  const legacy = `${dir.replace(/\/+$/, "")}.json`;
+  if (fs.existsSync(dir) || !fs.existsSync(legacy)) return;
+
+  const values = readJsonWithRecovery(legacy) || {};
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [key, value] of Object.entries(values)) writeFileAtomic(keyFile(dir, key), JSON.stringify(value));
+  fs.renameSync(legacy, `${legacy}.migrated`);
+  log.info(`✅ Moved ${Object.keys(values).length} value(s) from ${legacy} into ${dir}`);
+}
+
+function loadDirectory(dir) {
+  importLegacyFile(dir);
+  const values = {};
+  if (!fs.existsSync(dir)) return values;
+
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue; // Temporary and corrupt files
+    const value = readJsonWithRecovery(path.join(dir, name));
+    if (value !== null) values[decodeURIComponent(name.slice(0, -".json".length))] = value;
+  }
+  return values;
+}
+
+export function openJsonStorage({ files }) {
+  const documents = {}; // namespace -> { key: value }, for the .json files
+
+  function fileFor(namespace) {
+    const file = files[namespace];
+    if (!file) throw new Error(`No file configured for ${namespace} in storage.json.files`);
+    return file;
+  }
+
+  return {
+    load(namespace) {
+      const file = fileFor(namespace);
+      if (isJournal(file)) return loadJournal(file);
+      if (isDirectory(file)) return loadDirectory(file);
+
+      const existed = fs.existsSync(file);
+      documents[namespace] = readJsonWithRecovery(file) || {};
+      // A recovered backup is written back straight away
+      if (existed && !fs.existsSync(file)) {
+        writeFileAtomic(file, JSON.stringify(documents[namespace], null, 2));
+      }
+      return documents[namespace];
+    },
+
+    write(namespace, changes) {
+      const file = fileFor(namespace);
+      if (isJournal(file)) {
+        const lines = changes.filter(([, json]) => json !== null).map(([, json]) => json + "\n");
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, lines.join(""));
+        return;
+      }
+      if (isDirectory(file)) {
+        for (const [key, json] of changes) {
+          if (json === null) fs.rmSync(keyFile(file, key), { force: true });
+          else writeFileAtomic(keyFile(file, key), json);
+        }
+        return;
+      }
+
+      const document = (documents[namespace] ||= {});
+      for (const [key, json] of changes) {
+        if (json === null) delete document[key];
+        else document[key] = JSON.parse(json);
+      }
+      if (!NO_BACKUPS.includes(namespace)) backupFile(file, config.storage.backups);
+      writeFileAtomic(file, JSON.stringify(document, null, 2));
+    },
+
+    close() {},
+  };
+}
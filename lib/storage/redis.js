@@ -0,0 +1,43 @@
+import { createLogger } from "../logger.js";
+
+const log = createLogger("storage");
+
+// -------------------- Redis Storage --------------------
+// Each namespace is a hash named <keyPrefix><namespace>, with one field per
+// key. Connects to REDIS_URL, or config.storage.redis.url. Needs the redis
+// package.
+export async function openRedisStorage({ url, keyPrefix }) {
+  let createClient;
+  try {
+    ({ createClient } = await import("redis"));
+  } catch (err) {
+    throw new Error(`The redis storage adapter needs the redis package, run: npm install redis (${err.message})`);
+  }
+
+  const client = createClient({ url: process.env.REDIS_URL || url });
+  client.on("error", (err) => log.error("❌ Redis connection error", err));
+  await client.connect();
+
+  const hashName = (namespace) => `${keyPrefix}${namespace}`;
+
+  return {
+    async load(namespace) {
+      const fields = await client.hGetAll(hashName(namespace));
+      return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, JSON.parse(value)]));
+    },
+
+    // MULTI/EXEC, so all changes in one write land together
+    async write(namespace, changes) {
+      const transaction = client.multi();
+      for (const [key, json] of changes) {
+        if (json === null) transaction.hDel(hashName(namespace), key);
+        else transaction.hSet(hashName(namespace), key, json);
+      }
+      await transaction.exec();
+    },
+
+    async close() {
+      await client.close();
+    },
+  };
+}
@@ -0,0 +1,54 @@
+import fs from "fs";
+import path from "path";
+
+// -------------------- SQLite Storage --------------------
+// Every namespace shares one table in the database file at
+// config.storage.sqlite.file. Needs the better-sqlite3 package.
+export async function openSqliteStorage({ file }) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (err) {
+    throw new Error(`The sqlite storage adapter needs better-sqlite3, run: npm install better-sqlite3 (${err.message})`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  const selectAll = db.prepare("SELECT key, value FROM documents WHERE namespace = ?");
+  const upsert = db.prepare(
+    "INSERT INTO documents (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value"
+  );
+  const remove = db.prepare("DELETE FROM documents WHERE namespace = ? AND key = ?");
+
+  // All changes in one write land together or not at all
+  const writeChanges = db.transaction((namespace, changes) => {
+    for (const [key, json] of changes) {
+      if (json === null) remove.run(namespace, key);
+      else upsert.run(namespace, key, json);
+    }
+  });
+
+  return {
+    load(namespace) {
+      return Object.fromEntries(selectAll.all(namespace).map(({ key, value }) => [key, JSON.parse(value)]));
+    },
+
+    write(namespace, changes) {
+      writeChanges(namespace, changes);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+import { EmbedBuilder } from "discord.js";
+import { client, logAction } from "./client.js";
+import { createLogger } from "./logger.js";
+import { writeFileAtomic } from "./safeFile.js";
+
+const log = createLogger("suggestions");
+
+// -------------------- Suggestion Store --------------------
+// Same journal layout as the case store: every create or update appends the
+// full record and the last line written for an id wins on load.
+const SUGGESTIONS_FILE = "./data/suggestions.jsonl";
+
+export const SUGGESTION_STATUSES = ["pending", "approved", "denied", "considered"];
+export const UPVOTE = "✅";
+export const DOWNVOTE = "❌";
+
+const STATUS_STYLES = {
+  pending: { label: "⏳ Pending", color: "Yellow" },
+  approved: { label: "✅ Approved", color: "Green" },
+  denied: { label: "❌ Denied", color: "Red" },
+  considered: { label: "🤔 Under Consideration", color: "Orange" },
+};
+
+const suggestions = new Map();
+let nextSuggestionId = 1;
+
+function appendRecord(record) {
+  try {
+    fs.mkdirSync(path.dirname(SUGGESTIONS_FILE), { recursive: true });
+    fs.appendFileSync(SUGGESTIONS_FILE, JSON.stringify(record) + "\n");
+  } catch (err) {
+    log.error(`❌ Failed to write suggestion #${record.id}`, err);
+  }
+}
+
+function loadSuggestions() {
+  if (!fs.existsSync(SUGGESTIONS_FILE)) return;
+
+  let lines = 0;
+  try {
+    const raw = fs.readFileSync(SUGGESTIONS_FILE, "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const record = JSON.parse(line);
+        suggestions.set(record.id, record);
+        nextSuggestionId = Math.max(nextSuggestionId, record.id + 1);
+      } catch {
+        log.warn(`⚠️ Skipping corrupt suggestion journal entry: ${line.slice(0, 80)}`);
+      }
+    }
+    log.info(`✅ Loaded ${suggestions.size} suggestion(s)`);
+  } catch (err) {
+    log.error("❌ Failed to load suggestion journal", err);
+    return;
+  }
+
+  // Votes rewrite records often, so compact once most lines are superseded
+  if (lines > suggestions.size * 2) {
+    try {
+      const compacted = [...suggestions.values()].map((s) => JSON.stringify(s)).join("\n");
+      writeFileAtomic(SUGGESTIONS_FILE, compacted + "\n");
+    } catch (err) {
+      log.error("❌ Failed to compact suggestion journal", err);
+    }
+  }
+}
+
+loadSuggestions();
+
+export function createSuggestion({ guildId, channelId, messageId, authorId, authorTag, content }) {
+  const now = new Date().toISOString();
+  const record = {
+    id: nextSuggestionId++,
+    guildId,
+    channelId,
+    messageId,
+    authorId,
+    authorTag,
+    content,
+    status: "pending",
+    upvotes: 0,
+    downvotes: 0,
+    note: null,
+    decidedBy: null,
+    decidedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  suggestions.set(record.id, record);
+  appendRecord(record);
+  return record;
+}
+
+export function updateSuggestion(id, changes) {
+  const record = suggestions.get(id);
+  if (!record) return null;
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  appendRecord(record);
+  return record;
+}
+
+export function getSuggestion(id) {
+  return suggestions.get(Number(id)) || null;
+}
+
+export function findSuggestionByMessage(messageId) {
+  for (const record of suggestions.values()) {
+    if (record.messageId === messageId) return record;
+  }
+  return null;
+}
+
+// Newest first. sort: "newest" or "votes" (net votes, highest first)
+export function listSuggestions({ guildId, status, authorId, sort = "newest" } = {}) {
+  const list = [...suggestions.values()]
+    .filter(
+      (s) =>
+        (guildId === undefined || s.guildId === guildId) &&
+        (status === undefined || s.status === status) &&
+        (authorId === undefined || s.authorId === authorId)
+    )
+    .reverse();
+
+  if (sort === "votes") list.sort((a, b) => netVotes(b) - netVotes(a));
+  return list;
+}
+
+export function netVotes(suggestion) {
+  return suggestion.upvotes - suggestion.downvotes;
+}
+
+// -------------------- Suggestion Embeds & Votes --------------------
+export function buildSuggestionEmbed(suggestion, author) {
+  const { label, color } = STATUS_STYLES[suggestion.status];
+  return new EmbedBuilder()
+    .setTitle(`💡 Suggestion #${suggestion.id}`)
+    .setDescription(suggestion.content)
+    .setColor(color)
+    .setAuthor({
+      name: author.displayName || author.username,
+      iconURL: author.displayAvatarURL(),
+    })
+    .addFields({ name: "Status", value: label, inline: false })
+    .setTimestamp(new Date(suggestion.createdAt))
+    .setFooter({ text: `User ID: ${suggestion.authorId}` });
+}
+
+// Reaction counts minus the bot's own reaction
+function countVotes(message) {
+  const count = (emoji) => {
+    const reaction = message.reactions.cache.get(emoji);
+    return reaction ? reaction.count - (reaction.me ? 1 : 0) : 0;
+  };
+  return { upvotes: count(UPVOTE), downvotes: count(DOWNVOTE) };
+}
+
+// Called on every reaction add/remove so the stored tallies stay live
+export async function syncVotes(reaction) {
+  if (![UPVOTE, DOWNVOTE].includes(reaction.emoji.name)) return;
+
+  const suggestion = findSuggestionByMessage(reaction.message.id);
+  if (!suggestion) return;
+
+  try {
+    if (reaction.partial) await reaction.fetch();
+    const votes = countVotes(reaction.message);
+    if (votes.upvotes !== suggestion.upvotes || votes.downvotes !== suggestion.downvotes) {
+      updateSuggestion(suggestion.id, votes);
+    }
+  } catch (err) {
+    log.error(`❌ Failed to count votes for suggestion #${suggestion.id}`, err);
+  }
+}
+
+// -------------------- Staff Decisions --------------------
+// Update the status, recolour the original embed, DM the author and log it.
+// Throws with a user-facing message when the suggestion can't be decided.
+export async function decideSuggestion(guild, id, status, { note = null, moderator }) {
+  const suggestion = getSuggestion(id);
+  if (!suggestion || suggestion.guildId !== guild.id) {
+    throw new Error(`Suggestion #${id} not found.`);
+  }
+  if (suggestion.status === status) {
+    throw new Error(`Suggestion #${suggestion.id} is already ${status}.`);
+  }
+
+  const { label, color } = STATUS_STYLES[status];
+  const decidedAt = new Date().toISOString();
+  const statusText = `${label} by ${moderator.tag}${note ? `\n> ${note}` : ""}`;
+
+  let votes = {};
+  const channel = await guild.channels.fetch(suggestion.channelId).catch(() => null);
+  const message = channel ? await channel.messages.fetch(suggestion.messageId).catch(() => null) : null;
+  if (message) {
+    votes = countVotes(message);
+    const embed = EmbedBuilder.from(message.embeds[0])
+      .setColor(color)
+      .spliceFields(0, 1, { name: "Status", value: statusText, inline: false });
+    await message.edit({ embeds: [embed] }).catch((err) => {
+      log.error(`❌ Failed to update suggestion #${suggestion.id} message`, err);
+    });
+  } else {
+    log.warn(`⚠️ Message for suggestion #${suggestion.id} not found, only the record was updated`);
+  }
+
+  const record = updateSuggestion(suggestion.id, {
+    ...votes,
+    status,
+    note,
+    decidedBy: moderator.tag,
+    decidedAt,
+  });
+
+  const dmEmbed = new EmbedBuilder()
+    .setTitle(`💡 Your suggestion in ${guild.name} was updated`)
+    .setDescription(record.content.slice(0, 1000))
+    .setColor(color)
+    .addFields({ name: "Status", value: statusText, inline: false })
+    .setTimestamp();
+  if (message) dmEmbed.setURL(message.url);
+
+  let dmSent = true;
+  try {
+    const author = await client.users.fetch(record.authorId);
+    await author.send({ embeds: [dmEmbed] });
+  } catch {
+    dmSent = false;
+    log.warn(`⚠️ Could not DM ${record.authorTag} about suggestion #${record.id}`);
+  }
+
+  const logEmbed = new EmbedBuilder()
+    .setTitle(`💡 Suggestion #${record.id} ${label.slice(2)}`)
+    .setColor(color)
+    .addFields(
+      { name: "Author", value: `${record.authorTag} (${record.authorId})`, inline: true },
+      { name: "Staff", value: moderator.tag, inline: true },
+      { name: "Votes", value: `${UPVOTE} ${record.upvotes} · ${DOWNVOTE} ${record.downvotes}`, inline: true },
+      { name: "Note", value: note || "None", inline: false }
+    )
+    .setTimestamp();
+  await logAction(guild.id, logEmbed);
+
+  return { suggestion: record, dmSent };
+}
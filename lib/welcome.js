@@ -0,0 +1,94 @@
+import { EmbedBuilder } from "discord.js";
+import { logAction } from "./client.js";
+import { getGuildConfig } from "./guildConfig.js";
+import { recordMembership } from "./analytics.js";
+import { renderWelcome } from "./welcomeTemplate.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("welcome");
+
+// -------------------- Member Joins & Leaves --------------------
+// Every join and leave is logged to the logs channel and counted for the
+// growth stats; the welcome and goodbye messages are posted only where the
+// server turned them on (see lib/welcomeTemplate.js)
+const timestamp = (date) => (date ? `<t:${Math.floor(date.getTime() / 1000)}:R>` : "Unknown");
+
+export function buildWelcomeEmbed(template, member) {
+  const rendered = renderWelcome(template, member);
+  const embed = new EmbedBuilder()
+    .setTitle(rendered.title || null)
+    .setDescription(rendered.description || null)
+    .setColor(rendered.color)
+    .setThumbnail(member.user.displayAvatarURL())
+    .setTimestamp();
+  if (rendered.imageUrl) embed.setImage(rendered.imageUrl);
+  return embed;
+}
+
+async function postMessage(member, template, kind) {
+  if (!template.enabled || !template.channelId) return;
+  try {
+    const channel = await member.guild.channels.fetch(template.channelId).catch(() => null);
+    if (!channel?.isTextBased()) {
+      log.warn(`⚠️ ${kind} channel not found in ${member.guild.name}!`);
+      return;
+    }
+    await channel.send({ embeds: [buildWelcomeEmbed(template, member)] });
+  } catch (err) {
+    log.error(`❌ Failed to send ${kind.toLowerCase()} message in ${member.guild.name}`, err);
+  }
+}
+
+// Members still going through membership screening can't be given roles
+// yet; they get the auto-role once they pass (see guildMemberUpdate)
+export async function giveAutoRole(member) {
+  const { autoRoleId } = getGuildConfig(member.guild.id).welcome;
+  if (!autoRoleId || member.user.bot || member.pending || member.roles.cache.has(autoRoleId)) return;
+  try {
+    await member.roles.add(autoRoleId, "Auto-role on join");
+    log.info(`✅ Gave the auto-role to ${member.user.tag} in ${member.guild.name}`);
+  } catch (err) {
+    log.error(`❌ Failed to give the auto-role to ${member.user.tag}`, err);
+  }
+}
+
+export async function handleMemberJoin(member) {
+  recordMembership(member.guild.id, "join");
+
+  await logAction(
+    member.guild.id,
+    new EmbedBuilder()
+      .setTitle(member.user.bot ? "🤖 Bot Added" : "📥 Member Joined")
+      .setColor("Green")
+      .setThumbnail(member.user.displayAvatarURL())
+      .addFields(
+        { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
+        { name: "Account Created", value: timestamp(member.user.createdAt), inline: true },
+        { name: "Members", value: String(member.guild.memberCount), inline: true }
+      )
+      .setTimestamp()
+  );
+
+  await giveAutoRole(member);
+  await postMessage(member, getGuildConfig(member.guild.id).welcome, "Welcome");
+}
+
+export async function handleMemberLeave(member) {
+  recordMembership(member.guild.id, "leave");
+
+  await logAction(
+    member.guild.id,
+    new EmbedBuilder()
+      .setTitle(member.user.bot ? "🤖 Bot Removed" : "📤 Member Left")
+      .setColor("Orange")
+      .setThumbnail(member.user.displayAvatarURL())
+      .addFields(
+        { name: "User", value: `${member.user.tag} (${member.id})`, inline: true },
+        { name: "Joined", value: timestamp(member.joinedAt), inline: true },
+        { name: "Members", value: String(member.guild.memberCount), inline: true }
+      )
+      .setTimestamp()
+  );
+
+  await postMessage(member, getGuildConfig(member.guild.id).goodbye, "Goodbye");
+}
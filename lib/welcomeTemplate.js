@@ -0,0 +1,44 @@
+// -------------------- Welcome & Goodbye Templates --------------------
+// The `welcome` and `goodbye` settings (see config.guildDefaults) each hold:
+//   enabled, channelId - whether the message is posted, and where
+//   title, message     - text with {placeholders}
+//   color              - embed colour, "#rrggbb"
+//   imageUrl           - image shown under the embed, or null
+// `welcome` also has autoRoleId, a role every new member gets (bots don't).
+export const TEMPLATE_FIELDS = ["title", "message"];
+export const TEMPLATE_LIMITS = { title: 200, message: 2000 };
+
+const PLACEHOLDERS = {
+  user: "The member, mentioned",
+  username: "The member's username",
+  name: "The member's display name",
+  server: "Server name",
+  memberCount: "Members after the join or leave",
+};
+
+export function describePlaceholders() {
+  return PLACEHOLDERS;
+}
+
+export function unknownPlaceholders(text) {
+  return [...String(text).matchAll(/\{(\w+)\}/g)].map(([, name]) => name).filter((name) => !Object.hasOwn(PLACEHOLDERS, name));
+}
+
+// Works for members who have left too, as long as the user is known
+export function renderWelcome(template, member) {
+  const values = {
+    user: `<@${member.id}>`,
+    username: member.user.username,
+    name: member.displayName,
+    server: member.guild.name,
+    memberCount: member.guild.memberCount,
+  };
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(values, name) ? String(values[name]) : match));
+
+  return {
+    title: fill(template.title).slice(0, 256),
+    description: fill(template.message).slice(0, 4096),
+    color: parseInt(template.color.slice(1), 16),
+    imageUrl: template.imageUrl || null,
+  };
+}
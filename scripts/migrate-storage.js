@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import config from "../lib/config.js";
+import { createLogger } from "../lib/logger.js";
+import { LOCAL_FILES, getStorageAdapter, getValue, setValue, closeStorage } from "../lib/storage.js";
+
+const log = createLogger("migrate");
+
+// -------------------- Leaderboard Migration --------------------
+// Imports an existing leaderboard.json into the storage adapter selected in
+// config.storage.adapter. Stop the bot first, it keeps its own copy in memory
+// and would overwrite the import on its next save.
+//
+//   npm run migrate -- [file] [--guild <id>] [--merge] [--keep-local-files]
+//
+// file               defaults to ./leaderboard.json
+// --guild            the server a single-server (flat { userId: count }) file
+//                    belongs to
+// --merge            add the imported counts to what is already stored
+//                    instead of replacing the boards of every server in the file
+// --keep-local-files go ahead although data/ holds files no adapter covers
+//                    (storage.LOCAL_FILES); they stay where they are
+//
+// Only counts are imported. Without --keep-local-files the migration refuses
+// to run into sqlite or redis while those files exist, so nobody moves to a
+// new adapter believing everything went with it.
+const USAGE = "Usage: npm run migrate -- [file] [--guild <id>] [--merge] [--keep-local-files]";
+
+function parseArgs(argv) {
+  const options = { file: "./leaderboard.json", guildId: null, merge: false, keepLocalFiles: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--merge") options.merge = true;
+    else if (arg === "--keep-local-files") options.keepLocalFiles = true;
+    else if (arg === "--guild") options.guildId = argv[++i];
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else options.file = arg;
+  }
+  if (options.guildId !== null && !/^\d{17,20}$/.test(options.guildId || "")) {
+    throw new Error("--guild needs a server ID");
+  }
+  return options;
+}
+
+const isCountMap = (data) => Object.values(data).some((value) => typeof value === "number");
+
+function validCounts(counts, where) {
+  if (!counts || typeof counts !== "object" || Array.isArray(counts)) {
+    throw new Error(`${where} is not a { userId: count } object`);
+  }
+  for (const [userId, count] of Object.entries(counts)) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${where}: count for ${userId} is not a whole number`);
+    }
+  }
+  return counts;
+}
+
+// The file as guildId -> period -> { userId: count }, in any of the formats
+// the bot has written (see lib/leaderboard.js)
+function readLeaderboards(file, guildId) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${file} does not hold a leaderboard object`);
+  }
+
+  if (isCountMap(data)) {
+    if (!guildId) throw new Error(`${file} is single-server data, say which server it belongs to with --guild <id>`);
+    const counts = validCounts(data, file);
+    return { [guildId]: { alltime: { ...counts }, weekly: { ...counts } } };
+  }
+
+  const leaderboards = {};
+  for (const [id, boards] of Object.entries(data)) {
+    if (guildId && id !== guildId) continue;
+    if (isCountMap(boards)) {
+      leaderboards[id] = { weekly: validCounts(boards, `${file} (${id})`) };
+      continue;
+    }
+    leaderboards[id] = {};
+    for (const [period, counts] of Object.entries(boards || {})) {
+      leaderboards[id][period] = validCounts(counts, `${file} (${id}, ${period})`);
+    }
+  }
+  return leaderboards;
+}
+
+function mergeBoards(existing, imported) {
+  const merged = structuredClone(existing || {});
+  for (const [period, counts] of Object.entries(imported)) {
+    const board = (merged[period] ||= {});
+    for (const [userId, count] of Object.entries(counts)) {
+      board[userId] = (board[userId] || 0) + count;
+    }
+  }
+  return merged;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(options.file)) throw new Error(`${options.file} does not exist`);
+
+  const adapter = getStorageAdapter();
+  if (adapter === "json" && path.resolve(options.file) === path.resolve(config.storage.json.files.leaderboard)) {
+    throw new Error(`${options.file} is already the json adapter's leaderboard file, set storage.adapter to import it elsewhere`);
+  }
+
+  const localFiles = Object.entries(LOCAL_FILES).filter(([file]) => fs.existsSync(file));
+  if (adapter !== "json" && localFiles.length > 0 && !options.keepLocalFiles) {
+    throw new Error(
+      `These stay in local files whatever the storage adapter, and are not migrated:\n` +
+        localFiles.map(([file, description]) => `  ${file} - ${description}`).join("\n") +
+        `\nCopy them along if the bot moves, then run again with --keep-local-files`
+    );
+  }
+
+  const leaderboards = readLeaderboards(options.file, options.guildId);
+  const guildIds = Object.keys(leaderboards);
+  if (guildIds.length === 0) throw new Error(`Nothing to import from ${options.file}`);
+
+  let users = 0;
+  for (const guildId of guildIds) {
+    const boards = options.merge ? mergeBoards(getValue("leaderboard", guildId), leaderboards[guildId]) : leaderboards[guildId];
+    setValue("leaderboard", guildId, boards);
+    users += new Set(Object.values(leaderboards[guildId]).flatMap((counts) => Object.keys(counts))).size;
+  }
+  await closeStorage();
+
+  log.info(
+    `✅ ${options.merge ? "Merged" : "Imported"} ${options.file} into ${adapter} storage: ` +
+      `${guildIds.length} server(s), ${users} user(s)`
+  );
+}
+
+try {
+  await main();
+} catch (err) {
+  log.error(`❌ Migration failed: ${err.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+  await closeStorage().catch(() => {});
+}